@@ -34,5 +34,49 @@ exports.GEO_TO_DEFAULT_ZOOM = {
     county: 14,
     city: 15,
     postalCode: 16,
+    radius: 14,
+    route: 14,
+    rankTracking: 15,
     default: 12,
 }
+
+// Why the place was skipped, saved with the places in PLACES-OUT-OF-POLYGON
+exports.OUT_OF_POLYGON_REASONS = {
+    OUTSIDE_SEARCH_AREA: 'outsideSearchArea',
+    IN_EXCLUDED_AREA: 'inExcludedArea',
+}
+
+// Which of the placeFilters rejected the place, counted in the STATS record
+exports.FILTERED_OUT_REASONS = {
+    TOTAL_SCORE: 'totalScore',
+    REVIEWS_COUNT: 'reviewsCount',
+    CATEGORIES: 'categories',
+    PERMANENTLY_CLOSED: 'permanentlyClosed',
+    TEMPORARILY_CLOSED: 'temporarilyClosed',
+    CLOSED_NOW: 'closedNow',
+}
+
+exports.BOUNDARY_PROVIDERS = {
+    NOMINATIM: 'nominatim',
+    GEOJSON_FILE: 'geojsonFile',
+}
+
+exports.MONITORING_CHANGE_TYPES = {
+    NEW: 'NEW',
+    CHANGED: 'CHANGED',
+    DISAPPEARED: 'DISAPPEARED',
+}
+
+// Where the places are written, everything except the dataset is a file saved to the key-value store
+exports.OUTPUT_SINKS = {
+    DATASET: 'dataset',
+    NDJSON: 'ndjson',
+    CSV: 'csv',
+    GEOJSON: 'geojson',
+    SQLITE: 'sqlite',
+}
+
+exports.CASSETTE_MODES = {
+    RECORD: 'record',
+    REPLAY: 'replay',
+}
@@ -5,13 +5,25 @@ const MaxCrawledPlacesTracker = require('./helper-classes/max-crawled-places');
 const { ScrapingOptions, PlaceUserData } = require('./typedefs'); // eslint-disable-line no-unused-vars
 const ErrorSnapshotter = require('./helper-classes/error-snapshotter'); // eslint-disable-line no-unused-vars
 const Stats = require('./helper-classes/stats'); // eslint-disable-line no-unused-vars
+const PlacesCache = require('./helper-classes/places_cache'); // eslint-disable-line no-unused-vars
+const ReviewsHighWaterMarks = require('./helper-classes/reviews-high-water-marks'); // eslint-disable-line no-unused-vars
+const PlaceHistory = require('./helper-classes/place-history'); // eslint-disable-line no-unused-vars
+const Cassette = require('./helper-classes/cassette'); // eslint-disable-line no-unused-vars
+const CompetitorComparison = require('./helper-classes/competitor-comparison'); // eslint-disable-line no-unused-vars
+const PlacesOutput = require('./helper-classes/places-output'); // eslint-disable-line no-unused-vars
+const NormalizedDatasets = require('./helper-classes/normalized-datasets'); // eslint-disable-line no-unused-vars
+const PlaceWebhook = require('./helper-classes/place-webhook'); // eslint-disable-line no-unused-vars
 
 const { extractPageData, extractPopularTimes, extractOpeningHours, extractPeopleAlsoSearch,
     extractAdditionalInfo } = require('./place-extractors/general');
+const { parseStructuredOpeningHours, isOpenAt } = require('./place-extractors/opening-hours');
 const { extractImages } = require('./place-extractors/images');
 const { extractReviews } = require('./place-extractors/reviews');
 const { DEFAULT_TIMEOUT, PLACE_TITLE_SEL } = require('./consts');
 const { waitForGoogleMapLoader, abortRunIfReachedMaxPlaces } = require('./utils/misc-utils');
+const { getJsonField } = require('./utils/json-paths');
+const { projectFields, isAnyFieldWanted } = require('./utils/field-projection');
+const { getPlaceFilteredOutReason } = require('./utils/place-filters');
 
 const { log } = Apify.utils;
 
@@ -25,19 +37,31 @@ const { log } = Apify.utils;
  *  errorSnapshotter: ErrorSnapshotter,
  *  stats: Stats,
  *  maxCrawledPlacesTracker: MaxCrawledPlacesTracker,
+ *  placesCache: PlacesCache,
+ *  reviewsHighWaterMarks: ReviewsHighWaterMarks,
+ *  placeHistory: PlaceHistory,
+ *  competitorComparison: CompetitorComparison,
+ *  placesOutput: PlacesOutput,
+ *  normalizedDatasets: NormalizedDatasets,
+ *  placeWebhook: PlaceWebhook,
+ *  cassette: Cassette,
  *  crawler: Apify.PuppeteerCrawler,
+ *  requestQueue: Apify.RequestQueue,
  * }} options
  */
 module.exports.handlePlaceDetail = async (options) => {
     const {
         page, request, searchString, session, scrapingOptions, errorSnapshotter,
-        stats, maxCrawledPlacesTracker, crawler
+        stats, maxCrawledPlacesTracker, placesCache, reviewsHighWaterMarks, placeHistory, competitorComparison, placesOutput, normalizedDatasets, placeWebhook, cassette, crawler, requestQueue
     } = options;
     const {
         includeHistogram, includeOpeningHours, includePeopleAlsoSearch,
         maxReviews, maxImages, additionalInfo, reviewsSort, reviewsTranslation,
-        oneReviewPerRow, reviewsStartDate,
+        oneReviewPerRow, reviewsStartDate, fields, placeFilters,
     } = scrapingOptions;
+    // Extractors whose output fields are all excluded by the fields input are skipped
+    /** @param {string[]} extractorFields */
+    const isWanted = (extractorFields) => isAnyFieldWanted(fields, extractorFields);
     // Extract basic information
     await waitForGoogleMapLoader(page);
 
@@ -64,7 +88,7 @@ module.exports.handlePlaceDetail = async (options) => {
     }
 
     // Add info from listing page
-    const { rank, searchPageUrl, isAdvertisement } = /** @type {PlaceUserData} */ (request.userData);
+    const { rank, searchPageUrl, isAdvertisement, areaLabel, searchKey } = /** @type {PlaceUserData} */ (request.userData);
 
     // Extract gps from URL
     // We need to URL will be change, it happened asynchronously
@@ -73,6 +97,9 @@ module.exports.handlePlaceDetail = async (options) => {
     }
     const url = page.url();
 
+    // We record before any clicking so the replayed page looks like a freshly loaded one
+    await cassette.recordPlacePage(request.uniqueKey, page);
+
     const coordinatesMatch = url.match(/!3d([0-9\-.]+)!4d([0-9\-.]+)/);
     const latMatch = coordinatesMatch ? coordinatesMatch[1] : null;
     const lngMatch = coordinatesMatch ? coordinatesMatch[2] : null;
@@ -101,7 +128,7 @@ module.exports.handlePlaceDetail = async (options) => {
 
     const pageData = await extractPageData({ page, jsonData });
 
-    const gasPrices = jsonData?.[86]?.[0]?.map((/** @type {any} */ arr) => {
+    const gasPrices = getJsonField(jsonData, 'place', 'gasPrices')?.map((/** @type {any} */ arr) => {
         /* expected raw array
         [
         "$4.10",
@@ -115,20 +142,21 @@ module.exports.handlePlaceDetail = async (options) => {
         ],
         */
        return {
-           priceTag: arr?.[0],
-           updatedAt: new Date(arr?.[2] * 1000).toISOString(),
-           unit: arr?.[3],
-           currency: arr?.[5],
-           price: arr?.[6],
-           gasType: arr?.[7]
+           priceTag: getJsonField(arr, 'gasPrice', 'priceTag'),
+           updatedAt: new Date(getJsonField(arr, 'gasPrice', 'updatedAt') * 1000).toISOString(),
+           unit: getJsonField(arr, 'gasPrice', 'unit'),
+           currency: getJsonField(arr, 'gasPrice', 'currency'),
+           price: getJsonField(arr, 'gasPrice', 'price'),
+           gasType: getJsonField(arr, 'gasPrice', 'gasType')
        }
     });
 
+    const orderByWidgets = isWanted(['orderBy']) ? getJsonField(jsonData, 'place', 'orderByWidgets') : undefined;
     let orderBy;
     // new format where food ordering represented by widget https://food.google.com/chooseprovider
     // TODO optional "Reserve a table" - https://www.google.com/maps/reserve/v/dine - same path, different URL
     try {
-        const orderByWidget = jsonData?.[75]?.[0]?.find((/** @type {any} */ x) => x?.[5]?.[1]?.[2]?.[0]?.startsWith('https://food.google.com/chooseprovider'));
+        const orderByWidget = orderByWidgets?.find((/** @type {any} */ x) => x?.[5]?.[1]?.[2]?.[0]?.startsWith('https://food.google.com/chooseprovider'));
         if (orderByWidget) {
             const orderByWidgetUrl = orderByWidget[5]?.[1]?.[2]?.[0];
             const orderWidgetHtml = await page.evaluate(async (url) => {
@@ -166,16 +194,17 @@ module.exports.handlePlaceDetail = async (options) => {
     }
     if (!orderBy?.length) {
         // old format with inline json values, displayed randomly by google maps as of 15 of May 2022
-        orderBy = jsonData?.[75]?.[0]?.[0]?.[2]?.map((/** @type {any} */ i) => {
+        orderBy = orderByWidgets?.[0]?.[2]?.map((/** @type {any} */ i) => {
             return { name: i?.[0]?.[0], url: i?.[1]?.[2]?.[0] }
         }).filter((/** @type {any} */ x) => x?.url);
     }
     // if none of parsing returned results output must be empty array for backwards compatibility
     orderBy = orderBy || [];
 
-    let totalScore = jsonData?.[4]?.[7] || null;
-    let reviewsCount = jsonData?.[4]?.[8] || 0;
-    let permanentlyClosed = (jsonData?.[88]?.[0] === "CLOSED" || jsonData?.[203]?.[1]?.[4]?.[0] === 'Permanently closed');
+    let totalScore = getJsonField(jsonData, 'place', 'totalScore') || null;
+    let reviewsCount = getJsonField(jsonData, 'place', 'reviewsCount') || 0;
+    let permanentlyClosed = (getJsonField(jsonData, 'place', 'closedStatus') === "CLOSED"
+        || getJsonField(jsonData, 'place', 'closedText') === 'Permanently closed');
 
     // We fallback to HTML (might be good to do only)
     if (!totalScore) {
@@ -205,27 +234,35 @@ module.exports.handlePlaceDetail = async (options) => {
 
     let reviewsDistribution = reviewsDistributionDefault;
 
-    if (jsonData) {
-        if (Array.isArray(jsonData?.[52]?.[3])) {
-            const [oneStar, twoStar, threeStar, fourStar, fiveStar] = jsonData[52][3];
-            reviewsDistribution = { oneStar, twoStar, threeStar, fourStar, fiveStar };
-        }
+    const reviewsDistributionJson = getJsonField(jsonData, 'place', 'reviewsDistribution');
+    if (reviewsDistributionJson) {
+        const [oneStar, twoStar, threeStar, fourStar, fiveStar] = reviewsDistributionJson;
+        reviewsDistribution = { oneStar, twoStar, threeStar, fourStar, fiveStar };
     }
 
-    const defaultReviewsJson = jsonData?.[52]?.[0];
+    const defaultReviewsJson = getJsonField(jsonData, 'place', 'defaultReviews');
 
     let cid;
-    const cidHexSplit = jsonData?.[10]?.split(':');
+    const cidHexSplit = getJsonField(jsonData, 'place', 'cid')?.split(':');
     if (cidHexSplit && cidHexSplit[1]) {
         // Hexadecimal to decimal. We have to use BigInt because JS Number does not have enough precision
         cid = BigInt(cidHexSplit[1]).toString();
     }    
 
     // How many we should scrape (otherwise we retry)
-    const targetReviewsCount = Math.min(reviewsCount, maxReviews);
+    const targetReviewsCount = isWanted(['reviews']) ? Math.min(reviewsCount, maxReviews) : 0;
 
     // extract categories
-    const categories = jsonData?.[13]
+    const categories = getJsonField(jsonData, 'place', 'categories');
+
+    // The open now filter needs it even if it is not in the output
+    const structuredOpeningHours = includeOpeningHours && (isWanted(['structuredOpeningHours', 'isOpenNow']) || placeFilters?.onlyOpenNow)
+        ? parseStructuredOpeningHours(jsonData)
+        : undefined;
+
+    const placeId = getJsonField(jsonData, 'place', 'placeId') || request.uniqueKey;
+    // Newest review from the previous runs, reviews pagination stops there
+    const reviewsHighWaterMark = await reviewsHighWaterMarks.getMark(placeId);
 
     const detail = {
         ...pageData,
@@ -233,22 +270,29 @@ module.exports.handlePlaceDetail = async (options) => {
         totalScore,
         isAdvertisement,
         rank,
-        placeId: jsonData?.[78] || request.uniqueKey,
+        placeId,
         categories: request.userData.categories || categories,
         cid,
         url,
         searchPageUrl,
         searchString,
+        areaLabel,
         // keeping backwards compatible even though coordinates is better name
         location: coordinates || pageData?.location?.lat ? pageData.location : null,
         scrapedAt: new Date().toISOString(),
-        ...includeHistogram ? extractPopularTimes({ jsonData }) : {},
-        openingHours: includeOpeningHours ? await extractOpeningHours({ page, jsonData }) : undefined,
-        peopleAlsoSearch: includePeopleAlsoSearch ? await extractPeopleAlsoSearch({ page }) : undefined,
-        additionalInfo: additionalInfo ? await extractAdditionalInfo({ page, placeUrl: url, jsonData }) : undefined,
+        ...includeHistogram && isWanted(['popularTimesLiveText', 'popularTimesLivePercent', 'popularTimesHistogram'])
+            ? extractPopularTimes({ jsonData })
+            : {},
+        openingHours: includeOpeningHours && isWanted(['openingHours']) ? await extractOpeningHours({ page, jsonData }) : undefined,
+        structuredOpeningHours,
+        isOpenNow: structuredOpeningHours ? isOpenAt(structuredOpeningHours, getJsonField(jsonData, 'place', 'timezone')) : undefined,
+        peopleAlsoSearch: includePeopleAlsoSearch && isWanted(['peopleAlsoSearch']) ? await extractPeopleAlsoSearch({ page }) : undefined,
+        additionalInfo: additionalInfo && isWanted(['additionalInfo'])
+            ? await extractAdditionalInfo({ page, placeUrl: url, jsonData })
+            : undefined,
         reviewsCount,
         reviewsDistribution,
-        imagesCount: jsonData?.[37]?.[1],
+        imagesCount: getJsonField(jsonData, 'place', 'imagesCount'),
         // IMPORTANT: The order of actions image -> reviews is important
         // If you need to change it, you need to check the implementations
         // and where the back buttons need to be 
@@ -256,7 +300,7 @@ module.exports.handlePlaceDetail = async (options) => {
         // In case the back button fails, we reload the page before reviews
         imageUrls: await errorSnapshotter.tryWithSnapshot(
             page,
-            async () => extractImages({ page, maxImages, targetReviewsCount, placeUrl: url }),
+            async () => extractImages({ page, maxImages: isWanted(['imageUrls']) ? maxImages : 0, targetReviewsCount, placeUrl: url }),
             { name: 'Image extraction' },
         ),
         // NOTE: Reviews must be the last action on the detail page
@@ -274,6 +318,7 @@ module.exports.handlePlaceDetail = async (options) => {
                 defaultReviewsJson,
                 personalDataOptions: scrapingOptions.personalDataOptions,
                 reviewsStartDate,
+                reviewsHighWaterMark,
             }),
             { name: 'Reviews extraction' },
         ),
@@ -281,21 +326,55 @@ module.exports.handlePlaceDetail = async (options) => {
         gasPrices,
     };
     
-    if (oneReviewPerRow) {
+    // Places rejected by the placeFilters input are scraped but they are not pushed nor remembered
+    const filteredOutReason = getPlaceFilteredOutReason(detail, placeFilters);
+    if (filteredOutReason) {
+        stats.filteredOut(filteredOutReason);
+        // They don't count towards maxCrawledPlaces, the searches can enqueue other places instead
+        if (searchKey) {
+            await maxCrawledPlacesTracker.setFilteredOut(searchKey);
+        }
+        log.info(`[PLACE]: Place didn't pass the ${filteredOutReason} filter, skipping --- ${url}`);
+        return;
+    }
+
+    // In monitoring mode, we only push places that changed since the previous run
+    const placeChange = placesCache.comparePlace(detail);
+    // Monitoring, history and reviews marks work with the whole place, only the output is projected
+    /** @type {Record<string, any>} */
+    const outputDetail = { ...projectFields(detail, fields), ...placeChange };
+    if (placesCache.monitoringMode && !placeChange) {
+        log.info(`[PLACE]: Place didn't change since the previous run, skipping --- ${url}`);
+    } else if (normalizedDatasets.isEnabled) {
+        await placesOutput.pushData(await normalizedDatasets.pushRelatedRecords(outputDetail));
+    } else if (oneReviewPerRow) {
         const unwoundResults = [];
-        if (detail.reviews.length === 0) {
+        const outputReviews = outputDetail.reviews || [];
+        if (outputReviews.length === 0) {
             // Removing reviews array from output
-            unwoundResults.push({ ...detail, reviews: undefined });
+            unwoundResults.push({ ...outputDetail, reviews: undefined });
         } else {
-            for (const review of detail.reviews) {
-                unwoundResults.push({ ...detail, ...review, reviews: undefined });
+            for (const review of outputReviews) {
+                unwoundResults.push({ ...outputDetail, ...review, reviews: undefined });
             }
         }
-        await Apify.pushData(unwoundResults);
+        await placesOutput.pushData(unwoundResults);
     } else {
-        await Apify.pushData(detail);
+        await placesOutput.pushData(outputDetail);
     }
-    
+    // Sent right away to the user's endpoint, by default this is a no-op
+    if (!placesCache.monitoringMode || placeChange) {
+        await placeWebhook.addPlace(outputDetail);
+    }
+    // Only after the reviews are safely pushed, otherwise they would be skipped on retry
+    await reviewsHighWaterMarks.updateMark(placeId, detail.reviews || []);
+    await placeHistory.addSnapshot(detail);
+    // Seed places of the competitor comparison search for their competitors, by default this is a no-op
+    const competitorSearchRequests = await competitorComparison.addPlace(detail, request);
+    for (const competitorSearchRequest of competitorSearchRequests) {
+        await requestQueue.addRequest(competitorSearchRequest);
+    }
+
     stats.places();
     log.info(`[PLACE]: Place scraped successfully --- ${url}`);
     // We must not pass a searchString here because it aborts the whole run. We expect the global max to be correctly set.
@@ -8,13 +8,20 @@ const Stats = require('./helper-classes/stats'); // eslint-disable-line no-unuse
 const PlacesCache = require('./helper-classes/places_cache'); // eslint-disable-line no-unused-vars
 const MaxCrawledPlacesTracker = require('./helper-classes/max-crawled-places'); // eslint-disable-line no-unused-vars
 const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper'); // eslint-disable-line no-unused-vars
+const Cassette = require('./helper-classes/cassette'); // eslint-disable-line no-unused-vars
+const PlaceProvenance = require('./helper-classes/place-provenance'); // eslint-disable-line no-unused-vars
+const RankTracker = require('./helper-classes/rank-tracker'); // eslint-disable-line no-unused-vars
+const SponsoredResults = require('./helper-classes/sponsored-results'); // eslint-disable-line no-unused-vars
+const PlacesOutput = require('./helper-classes/places-output'); // eslint-disable-line no-unused-vars
 
 const { log, sleep } = Apify.utils;
 const { MAX_PLACES_PER_PAGE, PLACE_TITLE_SEL, NO_RESULT_XPATH, LABELS } = require('./consts');
-const { parseZoomFromUrl, moveMouseThroughPage, getScreenshotPinsFromExternalActor, waiter, abortRunIfReachedMaxPlaces, delay, $x } = require('./utils/misc-utils');
+const { parseZoomFromUrl, parseMapViewportFromUrl, replaceMapViewportInUrl, moveMouseThroughPage, getScreenshotPinsFromExternalActor, waiter, abortRunIfReachedMaxPlaces, delay, $x, getSearchKey } = require('./utils/misc-utils');
 const { searchInputBoxFlow, getPlacesCountInUI } = require('./utils/search-page');
 const { parseSearchPlacesResponseBody } = require('./place-extractors/general');
-const { checkInPolygon } = require('./utils/polygon');
+const { getOutOfPolygonReason, splitSearchCell } = require('./utils/polygon');
+const { projectFields } = require('./utils/field-projection');
+const { getListingFilteredOutReason } = require('./utils/place-filters');
 
 const SEARCH_WAIT_TIME_MS = 30000;
 const CHECK_LOAD_OUTCOMES_EVERY_MS = 500;
@@ -68,6 +75,59 @@ const extractPlacesFromDOM = async (page) => {
     });
 };
 
+/**
+ * The DOM has only the title and the place ID, the rest is unknown
+ * @param {{ placeId: string | null, title: string }} domPlace
+ * @returns {typedefs.PlacePaginationData}
+ */
+const getDomPlacePaginationData = (domPlace) => /** @type {any} */ ({
+    placeId: domPlace.placeId,
+    title: domPlace.title || null,
+    coords: null,
+    addressParsed: undefined,
+    isAdvertisement: false,
+    website: null,
+    categories: [],
+    address: null,
+    phone: null,
+    totalScore: null,
+    reviewsCount: null,
+    price: null,
+    permanentlyClosed: null,
+    openingStatus: null,
+});
+
+/**
+ * Place data that are available already in the search response, used when the place pages are not opened
+ * @param {{
+ *  placePaginationData: typedefs.PlacePaginationData,
+ *  url: string,
+ *  searchString: string,
+ *  searchPageUrl: string,
+ *  rank: number,
+ *  areaLabel: string | undefined,
+ * }} options
+ */
+const getListingItem = ({ placePaginationData, url, searchString, searchPageUrl, rank, areaLabel }) => {
+    const { placeId, title, coords, addressParsed, isAdvertisement, categories, ...listingData } = placePaginationData;
+    return {
+        title,
+        categoryName: categories && categories.length > 0 ? categories[0] : null,
+        categories: categories || [],
+        ...listingData,
+        ...addressParsed || {},
+        location: coords,
+        placeId,
+        url,
+        isAdvertisement,
+        rank,
+        searchString,
+        searchPageUrl,
+        areaLabel,
+        scrapedAt: new Date().toISOString(),
+    };
+};
+
 /**
  * This handler waiting for response from xhr and enqueue places from the search response boddy.
  * @param {{
@@ -76,18 +136,27 @@ const extractPlacesFromDOM = async (page) => {
  *   request: Apify.Request,
  *   searchString: string,
  *   exportPlaceUrls: boolean,
+ *   exportListingData: boolean,
+ *   fields: typedefs.FieldsOption | undefined,
+ *   placeFilters: typedefs.PlaceFilters | undefined,
  *   geolocation: typedefs.Geolocation | undefined,
+ *   excludeGeolocation: typedefs.Geolocation | undefined,
  *   placesCache: PlacesCache,
  *   stats: Stats,
  *   maxCrawledPlacesTracker: MaxCrawledPlacesTracker,
  *   exportUrlsDeduper: ExportUrlsDeduper | undefined,
+ *   placeProvenance: PlaceProvenance,
+ *   rankTracker: RankTracker,
+ *   sponsoredResults: SponsoredResults,
+ *   placesOutput: PlacesOutput,
+ *   cassette: Cassette,
  *   crawler: Apify.PuppeteerCrawler,
  * }} options
  * @return {(response: Puppeteer.HTTPResponse, pageStats: typedefs.PageStats) => Promise<any>}
  */
 const enqueuePlacesFromResponse = (options) => {
-    const { page, requestQueue, searchString, request, exportPlaceUrls, geolocation,
-        placesCache, stats, maxCrawledPlacesTracker, exportUrlsDeduper, crawler } = options;
+    const { page, requestQueue, searchString, request, exportPlaceUrls, exportListingData, fields, placeFilters, geolocation, excludeGeolocation,
+        placesCache, stats, maxCrawledPlacesTracker, exportUrlsDeduper, placeProvenance, rankTracker, sponsoredResults, placesOutput, cassette, crawler } = options;
     return async (response, pageStats) => {
         const url = response.url();
 
@@ -116,6 +185,7 @@ const enqueuePlacesFromResponse = (options) => {
                 log.warning(`Response status is not 200, it is ${responseStatus}. This might mean the response is blocked`);
             }
             responseBody = await response.text();
+            await cassette.recordSearchResponse(request.uniqueKey, { url, status: responseStatus, body: responseBody });
 
             // Save raw response for debugging
             const debugKey = `RAW-RESPONSE-${Date.now()}`;
@@ -143,25 +213,51 @@ const enqueuePlacesFromResponse = (options) => {
             // because we depend on it when checking if we should finish
             let enqueued = 0;
             let pushed = 0;
+            let filteredOut = 0;
+            let adSlot = 0;
 
             for (const placePaginationData of placesPaginationData) {
                 index++;
                 const rank = ((pageNumber - 1) * 20) + (index + 1);
+                // By default this is a no-op
+                if (placePaginationData.isAdvertisement && isSearchPage) {
+                    adSlot++;
+                    sponsoredResults.addAd(request, { placePaginationData, rank, adSlot, pageNum: pageStats.pageNum });
+                }
+                // Sponsored results report doesn't scrape the places
+                if (sponsoredResults.isEnabled && !rankTracker.isEnabled) {
+                    continue;
+                }
+                // Rank tracking only needs the rank, nothing is enqueued
+                // Search for an exact business name can open its detail directly so it is the first result
+                if (rankTracker.isEnabled) {
+                    rankTracker.addSearchResult(request, isSearchPage ? rank : 1, placePaginationData);
+                    continue;
+                }
                 // TODO: Refactor this once we get rid of the caching
                 const coordinates = placePaginationData.coords || placesCache.getLocation(placePaginationData.placeId);
                 // Use direct place_id URL to avoid flaky /search/?api=1 loads
                 const placeUrl = `https://www.google.com/maps/place/?q=place_id:${placePaginationData.placeId}`;
                 placesCache.addLocation(placePaginationData.placeId, coordinates, searchString);
 
-                // true if no geo or coordinates
-                const isCorrectGeolocation = checkInPolygon(geolocation, coordinates);
-                if (!isCorrectGeolocation) {
+                // null if no geo or coordinates
+                const outOfPolygonReason = getOutOfPolygonReason(geolocation, coordinates, excludeGeolocation);
+                if (outOfPolygonReason) {
                     stats.outOfPolygonCached();
                     stats.outOfPolygon();
-                    stats.addOutOfPolygonPlace({ url: placeUrl, searchPageUrl, coordinates });
+                    stats.addOutOfPolygonPlace({ url: placeUrl, searchPageUrl, coordinates, reason: outOfPolygonReason });
                     continue;
                 }
-                if (exportPlaceUrls) {
+                // Filters decided from the search results save opening the place page
+                const filteredOutReason = getListingFilteredOutReason(placePaginationData, placeFilters);
+                if (filteredOutReason) {
+                    stats.filteredOut(filteredOutReason, true);
+                    filteredOut++;
+                    continue;
+                }
+                const searchKey = getSearchKey(searchString, request);
+                // Listing data are pushed the same way as the URLs, only with everything we have from the search
+                if (exportPlaceUrls || exportListingData) {
                     // We must not pass a searchString here because it aborts the whole run
                     // We have to run this code before and after the push because this loop iteration
                     // can be the first or the last one
@@ -170,30 +266,35 @@ const enqueuePlacesFromResponse = (options) => {
                         break;
                     }
 
-                    if (!maxCrawledPlacesTracker.canScrapeMore(searchString)) {
+                    if (!maxCrawledPlacesTracker.canScrapeMore(searchKey)) {
                         break;
                     }
                     const wasAlreadyPushed = exportUrlsDeduper?.testDuplicateAndAdd(placePaginationData.placeId);
                     if (!wasAlreadyPushed) {
 
-                        maxCrawledPlacesTracker.setScraped();
+                        maxCrawledPlacesTracker.setScraped(searchKey);
                         pushed++;
-                        await Apify.pushData({
-                            url: `https://www.google.com/maps/place/?q=place_id:${placePaginationData.placeId}`,
-                        });
+                        await placesOutput.pushData(exportListingData
+                            ? projectFields(getListingItem({
+                                placePaginationData, url: placeUrl, searchString, searchPageUrl, rank, areaLabel: request.userData.areaLabel,
+                            }), fields)
+                            : { url: placeUrl });
                     }
                     if (!maxCrawledPlacesTracker.canScrapeMore()) {
                         await abortRunIfReachedMaxPlaces({ searchString, request, page, crawler });
                         break;
                     }
                 } else {
-                    const searchKey = searchString || request.url;
                     if (!maxCrawledPlacesTracker.setEnqueued(searchKey)) {
                         log.warning(`[SEARCH]: Finishing search because we enqueued more than maxCrawledPlaces `
                             + `currently: ${maxCrawledPlacesTracker.enqueuedPerSearch[searchKey]}(for this search)/${maxCrawledPlacesTracker.enqueuedTotal}(total) `
                             + `--- ${searchString} - ${request.url}`);
                         break;
                     }
+                    // Already enqueued places are deduped by the queue so we must remember all searches that found them
+                    placeProvenance.addSearch(placePaginationData.placeId, {
+                        searchString, rank, searchPageUrl, areaLabel: request.userData.areaLabel,
+                    });
 
                     const { wasAlreadyPresent } = await requestQueue.addRequest({
                         url: placeUrl,
@@ -201,6 +302,9 @@ const enqueuePlacesFromResponse = (options) => {
                         userData: {
                             label: LABELS.PLACE,
                             searchString,
+                            // Filtered places give their enqueued slot back
+                            searchKey,
+                            areaLabel: request.userData.areaLabel,
                             rank,
                             searchPageUrl,
                             coords: placePaginationData.coords,
@@ -226,14 +330,16 @@ const enqueuePlacesFromResponse = (options) => {
             pageStats.totalEnqueued += enqueued;
             pageStats.pushed = pushed;
             pageStats.totalPushed += pushed;
+            pageStats.filteredOut = filteredOut;
 
 
             const numberOfAds = placesPaginationData.filter((item) => item.isAdvertisement).length;
             // Detail preview page goes one by one so should be logged after
             if (isSearchPage) {
-                const typeOfResultAction = exportPlaceUrls ? 'Pushed' : 'Enqueued';
-                const typeOfResultsCount = exportPlaceUrls ? pageStats.pushed : pageStats.enqueued;
-                const typeOfResultsCountTotal = exportPlaceUrls ? pageStats.totalPushed : pageStats.totalEnqueued;
+                const isPushing = exportPlaceUrls || exportListingData;
+                const typeOfResultAction = isPushing ? 'Pushed' : 'Enqueued';
+                const typeOfResultsCount = isPushing ? pageStats.pushed : pageStats.enqueued;
+                const typeOfResultsCountTotal = isPushing ? pageStats.totalPushed : pageStats.totalEnqueued;
                 log.info(`[SEARCH][${searchString}][SCROLL: ${pageStats.pageNum}]: ${typeOfResultAction} ${typeOfResultsCount}/${pageStats.found} `
                     + `places (unique & correct/found) + ${numberOfAds} ads `
                     + `for this page. Total for this search: ${typeOfResultsCountTotal}/${pageStats.totalFound}  --- ${page.url()}`)
@@ -247,6 +353,43 @@ const enqueuePlacesFromResponse = (options) => {
 };
 
 
+/**
+ * Adaptive splitting: the search hit the results cap so there are probably more places in this map cell.
+ * We search its 4 quarters one zoom level closer until they yield less than the cap or we reach maxSplitZoom.
+ * @param {{
+ *  request: Apify.Request,
+ *  requestQueue: Apify.RequestQueue,
+ *  searchString: string,
+ *  scrapingOptions: typedefs.ScrapingOptions,
+ * }} options
+ */
+const enqueueSplitSearches = async ({ request, requestQueue, searchString, scrapingOptions }) => {
+    const { geolocation, excludeGeolocation, maxSplitZoom } = scrapingOptions;
+    const logBase = `[SEARCH][${searchString}]`;
+    // We split the cell we requested, Google might have moved the map since
+    const viewport = parseMapViewportFromUrl(request.url);
+    if (!viewport) {
+        log.warning(`${logBase} Cannot split search because its URL has no coordinates and zoom - ${request.url}`);
+        return;
+    }
+    if (viewport.zoom >= maxSplitZoom) {
+        log.warning(`${logBase} Cannot split search further because it reached maxSplitZoom (${maxSplitZoom}), `
+            + `some places might be missing - ${request.url}`);
+        return;
+    }
+    const childCells = splitSearchCell(viewport, geolocation, excludeGeolocation);
+    for (const childCell of childCells) {
+        const url = replaceMapViewportInUrl(request.url, childCell);
+        await requestQueue.addRequest({
+            url,
+            uniqueKey: url,
+            userData: { ...request.userData, splitFromUrl: request.url },
+        });
+    }
+    log.info(`${logBase} Split search into ${childCells.length} searches with zoom ${viewport.zoom + 1} `
+        + `because it reached maximum (${MAX_PLACES_PER_PAGE}) places - ${request.url}`);
+};
+
 /**
  * Periodically checks if one of the possible search outcomes have happened
  * @param {Puppeteer.Page} page
@@ -297,7 +440,7 @@ const waitForSearchResults = async (page) => {
 }
 
 /**
- * Method adds places from listing to queue
+ * Scrolls the search results and enqueues the places from the responses
  * @param {{
  *  page: Puppeteer.Page,
  *  searchString: string,
@@ -306,9 +449,10 @@ const waitForSearchResults = async (page) => {
  *  helperClasses: typedefs.HelperClasses,
  *  scrapingOptions: typedefs.ScrapingOptions,
  *  crawler: Apify.PuppeteerCrawler,
+ *  pageStats: typedefs.PageStats,
  * }} options
  */
-module.exports.enqueueAllPlaceDetails = async ({
+const scrollAndEnqueuePlaces = async ({
     page,
     searchString,
     requestQueue,
@@ -316,16 +460,10 @@ module.exports.enqueueAllPlaceDetails = async ({
     crawler,
     scrapingOptions,
     helperClasses,
+    pageStats,
 }) => {
-    const { geolocation, maxAutomaticZoomOut, exportPlaceUrls } = scrapingOptions;
-    const { stats, placesCache, maxCrawledPlacesTracker, exportUrlsDeduper } = helperClasses;
-
-    // The error property is a way to propagate errors from the response handler to this synchronous context
-    /** @type {typedefs.PageStats} */
-    const pageStats = {
-        error: null, isDataPage: false, enqueued: 0, pushed: 0, totalEnqueued: 0,
-        totalPushed: 0, found: 0, totalFound: 0, pageNum: 1
-    }
+    const { geolocation, excludeGeolocation, maxAutomaticZoomOut, exportPlaceUrls, exportListingData, fields, placeFilters, adaptiveSplitting } = scrapingOptions;
+    const { stats, placesCache, maxCrawledPlacesTracker, exportUrlsDeduper, placeProvenance, rankTracker, sponsoredResults, placesOutput, cassette } = helperClasses;
 
     const responseHandler = enqueuePlacesFromResponse({
         page,
@@ -333,14 +471,43 @@ module.exports.enqueueAllPlaceDetails = async ({
         searchString,
         request,
         exportPlaceUrls,
+        exportListingData,
+        fields,
+        placeFilters,
         geolocation,
+        excludeGeolocation,
         placesCache,
         stats,
         maxCrawledPlacesTracker,
         exportUrlsDeduper,
+        placeProvenance,
+        rankTracker,
+        sponsoredResults,
+        placesOutput,
+        cassette,
         crawler,
     });
 
+    // Recorded responses already contain everything the scrolling would load
+    if (cassette.isReplaying) {
+        const recordedResponses = await cassette.getSearchResponses(request.uniqueKey);
+        for (const recordedResponse of recordedResponses) {
+            await responseHandler(recordedResponse, pageStats);
+            if (pageStats.error) {
+                throw `[SEARCH][${searchString}]: Error occured when replaying recorded response: ${pageStats.error.message} - ${request.url}`;
+            }
+            pageStats.pageNum++;
+        }
+        log.info(`[SEARCH][${searchString}]: Replayed ${recordedResponses.length} recorded responses, `
+            + `enqueued ${pageStats.totalEnqueued}/${pageStats.totalFound} places - ${request.url}`);
+        if (adaptiveSplitting && pageStats.totalFound >= MAX_PLACES_PER_PAGE) {
+            await enqueueSplitSearches({ request, requestQueue, searchString, scrapingOptions });
+        }
+        return;
+    }
+
+    cassette.startSearchRecording(request.uniqueKey, request.url);
+
     page.on('response', async (response) => {
         await responseHandler(response, pageStats);
     });
@@ -444,27 +611,84 @@ module.exports.enqueueAllPlaceDetails = async ({
                 // Save debug info about what we found
                 await Apify.setValue('DOM-PLACES-DEBUG', domPlaces);
 
+                if (rankTracker.isEnabled) {
+                    for (const [domIndex, domPlace] of domPlaces.entries()) {
+                        rankTracker.addSearchResult(request, domIndex + 1, domPlace);
+                    }
+                    pageStats.totalFound = domPlaces.length;
+                    log.info(`${logBaseScroll} DOM fallback checked ${domPlaces.length} places for rank tracking`);
+                    return;
+                }
+
+                if (sponsoredResults.isEnabled) {
+                    log.warning(`${logBaseScroll} DOM fallback cannot recognize ads, finishing sponsored results search - ${request.url}`);
+                    return;
+                }
+
                 for (const domPlace of domPlaces) {
                     // Create a place URL from the href
                     let placeUrl = domPlace.href;
                     if (!placeUrl.startsWith('http')) {
                         placeUrl = `https://www.google.com${placeUrl}`;
                     }
+                    const rank = pageStats.totalEnqueued + pageStats.totalPushed + 1;
+                    const placePaginationData = getDomPlacePaginationData(domPlace);
+
+                    // Same as for the search response, only the title is known here so the rest is checked on the place page
+                    const filteredOutReason = getListingFilteredOutReason(placePaginationData, placeFilters);
+                    if (filteredOutReason) {
+                        stats.filteredOut(filteredOutReason, true);
+                        pageStats.filteredOut++;
+                        continue;
+                    }
+                    const searchKey = getSearchKey(searchString, request);
+                    // The place pages must not be opened in these modes, we push what the DOM has
+                    if (exportPlaceUrls || exportListingData) {
+                        if (!maxCrawledPlacesTracker.canScrapeMore()) {
+                            await abortRunIfReachedMaxPlaces({ searchString, request, page, crawler });
+                            break;
+                        }
+                        if (!maxCrawledPlacesTracker.canScrapeMore(searchKey)) {
+                            break;
+                        }
+                        const wasAlreadyPushed = exportUrlsDeduper?.testDuplicateAndAdd(domPlace.placeId || placeUrl);
+                        if (!wasAlreadyPushed) {
+                            maxCrawledPlacesTracker.setScraped(searchKey);
+                            pageStats.totalPushed++;
+                            pageStats.pushed++;
+                            await placesOutput.pushData(exportListingData
+                                ? projectFields(getListingItem({
+                                    placePaginationData, url: placeUrl, searchString, searchPageUrl: page.url(), rank, areaLabel: request.userData.areaLabel,
+                                }), fields)
+                                : { url: placeUrl });
+                        }
+                        continue;
+                    }
 
-                    const searchKey = searchString || request.url;
                     if (!maxCrawledPlacesTracker.setEnqueued(searchKey)) {
                         log.warning(`${logBaseScroll} Finishing search because we enqueued maxCrawledPlaces`);
                         break;
                     }
 
                     const uniqueKey = domPlace.placeId || placeUrl;
+                    // Places without ID cannot be joined with the output
+                    if (domPlace.placeId) {
+                        placeProvenance.addSearch(domPlace.placeId, {
+                            searchString,
+                            rank,
+                            searchPageUrl: page.url(),
+                            areaLabel: request.userData.areaLabel,
+                        });
+                    }
                     const { wasAlreadyPresent } = await requestQueue.addRequest({
                         url: placeUrl,
                         uniqueKey,
                         userData: {
                             label: LABELS.PLACE,
                             searchString,
-                            rank: pageStats.totalEnqueued + 1,
+                            searchKey,
+                            areaLabel: request.userData.areaLabel,
+                            rank,
                             searchPageUrl: page.url(),
                         },
                     }, { forefront: true });
@@ -475,7 +699,8 @@ module.exports.enqueueAllPlaceDetails = async ({
                     }
                 }
 
-                log.info(`${logBaseScroll} DOM fallback enqueued ${pageStats.enqueued} places`);
+                const isPushing = exportPlaceUrls || exportListingData;
+                log.info(`${logBaseScroll} DOM fallback ${isPushing ? `pushed ${pageStats.pushed}` : `enqueued ${pageStats.enqueued}`} places`);
                 return;
             }
         }
@@ -522,7 +747,7 @@ module.exports.enqueueAllPlaceDetails = async ({
             + `${request.url}`;
         }
 
-        if (!maxCrawledPlacesTracker.canEnqueueMore(searchString || request.url)) {
+        if (!maxCrawledPlacesTracker.canEnqueueMore(getSearchKey(searchString, request))) {
             // no need to log here because it is logged already in
             return;
         }
@@ -545,8 +770,16 @@ module.exports.enqueueAllPlaceDetails = async ({
             return;
         }
 
+        if (rankTracker.shouldStopScrolling(request, pageStats.totalFound)) {
+            log.info(`${logBaseScroll} Finishing rank tracking search after checking ${pageStats.totalFound} results - ${request.url}`);
+            return;
+        }
+
         if (pageStats.totalFound >= MAX_PLACES_PER_PAGE) {
             log.info(`${logBaseScroll} Finishing scrolling with ${pageStats.totalFound} results for this page because we found maximum (${MAX_PLACES_PER_PAGE}) places per page - ${request.url}`);
+            if (adaptiveSplitting) {
+                await enqueueSplitSearches({ request, requestQueue, searchString, scrapingOptions });
+            }
             return;
         }
 
@@ -555,7 +788,10 @@ module.exports.enqueueAllPlaceDetails = async ({
         // Subsequent scrolls give you places further away that might not be in your current map square
         // So if we only get duplicate places on the first scroll, we are super unlikely to get any relevant later
         // NOTE: If you want this to be changed, be very careful how are these populated
-        if (pageStats.found > 0 && (pageStats.enqueued + pageStats.pushed) === 0) {
+        // Rank tracking and sponsored results report don't enqueue anything
+        // Filtered out places are new places, they only didn't pass the filters
+        if (!rankTracker.isEnabled && !sponsoredResults.isEnabled && pageStats.found > 0
+            && (pageStats.enqueued + pageStats.pushed + pageStats.filteredOut) === 0) {
             log.info(`${logBaseScroll} Finishing scrolling with ${pageStats.totalFound} results for this page because we only found places we already have or that are outside of required location - ${request.url}`);
             return;
         }
@@ -576,3 +812,52 @@ module.exports.enqueueAllPlaceDetails = async ({
         await waiter(() => pageStats.totalFound >= placesCountInUI, { noThrow: true, timeout: 5000 });
     }
 };
+
+/**
+ * Method adds places from listing to queue
+ * @param {{
+ *  page: Puppeteer.Page,
+ *  searchString: string,
+ *  requestQueue: Apify.RequestQueue,
+ *  request: Apify.Request,
+ *  helperClasses: typedefs.HelperClasses,
+ *  scrapingOptions: typedefs.ScrapingOptions,
+ *  crawler: Apify.PuppeteerCrawler,
+ * }} options
+ */
+module.exports.enqueueAllPlaceDetails = async (options) => {
+    const { page, request, searchString, helperClasses: { stats, rankTracker, sponsoredResults } } = options;
+
+    // The error property is a way to propagate errors from the response handler to this synchronous context
+    /** @type {typedefs.PageStats} */
+    const pageStats = {
+        error: null, isDataPage: false, enqueued: 0, pushed: 0, totalEnqueued: 0,
+        totalPushed: 0, found: 0, totalFound: 0, filteredOut: 0, pageNum: 1
+    }
+
+    sponsoredResults.startSearch(request);
+
+    await scrollAndEnqueuePlaces({ ...options, pageStats });
+
+    // By default these are no-ops
+    rankTracker.finishSearch(request, searchString, pageStats.totalFound);
+    await sponsoredResults.finishSearch(request);
+
+    // Failed searches are retried so we only record the finished ones
+    const viewport = parseMapViewportFromUrl(request.url);
+    const finalZoom = parseZoomFromUrl(page.url());
+    stats.addSearchCoverage({
+        url: request.url,
+        uniqueKey: request.uniqueKey,
+        searchString: searchString || null,
+        lat: viewport ? viewport.lat : null,
+        lng: viewport ? viewport.lng : null,
+        zoom: viewport ? viewport.zoom : null,
+        finalZoom,
+        found: pageStats.totalFound,
+        enqueued: pageStats.totalEnqueued + pageStats.totalPushed,
+        capHit: pageStats.totalFound >= MAX_PLACES_PER_PAGE,
+        autoZoomedOut: !!viewport && finalZoom !== null && finalZoom < viewport.zoom,
+        splitFromUrl: request.userData.splitFromUrl || null,
+    });
+};
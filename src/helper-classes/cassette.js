@@ -0,0 +1,186 @@
+const Apify = require('apify');
+const crypto = require('crypto');
+const Puppeteer = require('puppeteer'); // eslint-disable-line
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+const { CASSETTE_MODES, LABELS } = require('../consts');
+
+const { utils: { log } } = Apify;
+
+const CASSETTE_STORE_PREFIX = 'cassette';
+const GEOLOCATION_RECORD_KEY = 'GEO';
+
+// Google is not running in replay so we only need a document to inject jQuery into
+const EMPTY_SEARCH_PAGE_HTML = '<!DOCTYPE html><html><head></head><body></body></html>';
+
+/**
+ * Records responses that the crawler parses into a named key-value store (a "cassette")
+ * and serves them back in replay mode so whole runs can be reproduced without network.
+ * Search requests store all their XHR bodies in order, places store the rendered page.
+ */
+module.exports = class Cassette {
+    /**
+     * @param {{
+     *  mode: string,
+     *  name: string,
+     * }} options
+     */
+    constructor({ mode, name }) {
+        this.mode = mode;
+        this.name = name;
+        /** @type {Apify.KeyValueStore | null} */
+        this.store = null;
+        /**
+         * Responses of the search requests that are being recorded right now
+         * @type {Object.<string, typedefs.CassetteSearchRecord>}
+         */
+        this.searchRecords = {};
+    }
+
+    get isRecording() {
+        return this.mode === CASSETTE_MODES.RECORD;
+    }
+
+    get isReplaying() {
+        return this.mode === CASSETTE_MODES.REPLAY;
+    }
+
+    async initialize() {
+        // By default this is a no-op
+        if (!this.isRecording && !this.isReplaying) {
+            return;
+        }
+        const storeName = `${CASSETTE_STORE_PREFIX}-${this.name}`.replace(/[^a-zA-Z0-9-]/g, '-');
+        this.store = await Apify.openKeyValueStore(storeName);
+        log.info(`[CASSETTE]: ${this.isRecording ? 'Recording to' : 'Replaying from'} key-value store "${storeName}"`);
+    }
+
+    /**
+     * @param {string} label
+     * @param {string} requestKey
+     */
+    recordKey(label, requestKey) {
+        const hash = crypto.createHash('md5').update(requestKey).digest('hex');
+        return `${label}-${hash}`;
+    }
+
+    /**
+     * @param {string} key
+     */
+    async getRecord(key) {
+        const record = this.store ? await this.store.getValue(key) : null;
+        if (!record) {
+            throw new Error(`[CASSETTE]: Nothing recorded under ${key} in cassette "${this.name}"`);
+        }
+        return record;
+    }
+
+    /**
+     * Must be called when a search request starts so retries don't duplicate the responses
+     * @param {string} requestKey
+     * @param {string} requestUrl
+     */
+    startSearchRecording(requestKey, requestUrl) {
+        if (!this.isRecording) return;
+        this.searchRecords[requestKey] = { requestUrl, responses: [] };
+    }
+
+    /**
+     * @param {string} requestKey
+     * @param {{ url: string, status: number, body: string }} response
+     */
+    async recordSearchResponse(requestKey, response) {
+        if (!this.isRecording || !this.store) return;
+        const searchRecord = this.searchRecords[requestKey];
+        if (!searchRecord) {
+            log.warning(`[CASSETTE]: Search recording was not started, skipping response --- ${response.url}`);
+            return;
+        }
+        searchRecord.responses.push(response);
+        await this.store.setValue(this.recordKey(LABELS.SEARCH, requestKey), searchRecord);
+    }
+
+    /**
+     * Returns recorded responses with the part of Puppeteer.HTTPResponse interface we use
+     * @param {string} requestKey
+     * @returns {Promise<any[]>}
+     */
+    async getSearchResponses(requestKey) {
+        const searchRecord = /** @type {typedefs.CassetteSearchRecord} */
+            (await this.getRecord(this.recordKey(LABELS.SEARCH, requestKey)));
+        return searchRecord.responses.map(({ url, status, body }) => ({
+            url: () => url,
+            status: () => status,
+            text: async () => body,
+        }));
+    }
+
+    /**
+     * Stores the rendered place page with the URL Google redirected us to
+     * @param {string} requestKey
+     * @param {Puppeteer.Page} page
+     */
+    async recordPlacePage(requestKey, page) {
+        if (!this.isRecording || !this.store) return;
+        /** @type {typedefs.CassettePlaceRecord} */
+        const placeRecord = { url: page.url(), html: await page.content() };
+        await this.store.setValue(this.recordKey(LABELS.PLACE, requestKey), placeRecord);
+    }
+
+    /**
+     * @param {typedefs.Geolocation | undefined} geolocation
+     * @param {string} [recordKey] each area of the batch input has its own
+     */
+    async recordGeolocation(geolocation, recordKey = GEOLOCATION_RECORD_KEY) {
+        if (!this.isRecording || !this.store || !geolocation) return;
+        await this.store.setValue(recordKey, geolocation);
+    }
+
+    /**
+     * @param {string} [recordKey]
+     * @returns {Promise<typedefs.Geolocation | undefined>}
+     */
+    async getGeolocation(recordKey = GEOLOCATION_RECORD_KEY) {
+        if (!this.isReplaying || !this.store) return undefined;
+        const geolocation = /** @type {typedefs.Geolocation | null} */ (await this.store.getValue(recordKey));
+        return geolocation || undefined;
+    }
+
+    /**
+     * Intercepts all browser requests so nothing leaves the machine.
+     * The navigation is answered from the cassette, everything else is aborted.
+     * @param {Puppeteer.Page} page
+     * @param {Apify.Request} request
+     */
+    async setUpReplay(page, request) {
+        const { label } = request.userData;
+        /** @type {typedefs.CassettePlaceRecord | null} */
+        let placeRecord = null;
+        if (label === LABELS.PLACE) {
+            placeRecord = /** @type {typedefs.CassettePlaceRecord} */
+                (await this.getRecord(this.recordKey(LABELS.PLACE, request.uniqueKey)));
+        }
+
+        let wasRedirected = false;
+        await page.setRequestInterception(true);
+        page.on('request', async (interceptedRequest) => {
+            try {
+                const isNavigation = interceptedRequest.isNavigationRequest()
+                    && interceptedRequest.frame() === page.mainFrame();
+                if (!isNavigation) {
+                    await interceptedRequest.abort();
+                } else if (!placeRecord) {
+                    await interceptedRequest.respond({ status: 200, contentType: 'text/html', body: EMPTY_SEARCH_PAGE_HTML });
+                } else if (!wasRedirected && interceptedRequest.url() !== placeRecord.url) {
+                    // Google changes the place URL (it contains the coordinates) so we replay that as well
+                    wasRedirected = true;
+                    await interceptedRequest.respond({ status: 302, headers: { location: placeRecord.url } });
+                } else {
+                    await interceptedRequest.respond({ status: 200, contentType: 'text/html', body: placeRecord.html });
+                }
+            } catch (e) {
+                log.debug(`[CASSETTE]: Could not replay request ${interceptedRequest.url()}: ${e}`);
+            }
+        });
+    }
+};
@@ -0,0 +1,197 @@
+const Apify = require('apify');
+const turf = require('@turf/turf');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+const { LABELS, GEO_TO_DEFAULT_ZOOM } = require('../consts');
+// Not destructured because of the circular require through typedefs
+const polygonUtils = require('../utils/polygon');
+
+const { utils: { log } } = Apify;
+
+const COMPETITOR_COMPARISON_STATE_KV_RECORD = 'COMPETITOR-COMPARISON-STATE';
+const COMPETITOR_COMPARISON_DATASET_NAME = 'competitor-comparison';
+
+/**
+ * Share of the values that are lower than the seed's value (ties count as half), 50 is the middle
+ * @param {number | null} value
+ * @param {(number | null)[]} otherValues
+ * @returns {number | null}
+ */
+const getPercentile = (value, otherValues) => {
+    const comparableValues = /** @type {number[]} */ (otherValues.filter((otherValue) => typeof otherValue === 'number'));
+    if (typeof value !== 'number' || comparableValues.length === 0) {
+        return null;
+    }
+    const lower = comparableValues.filter((otherValue) => otherValue < value).length;
+    const equal = comparableValues.filter((otherValue) => otherValue === value).length;
+    return Math.round((100 * (lower + (equal / 2))) / comparableValues.length);
+};
+
+/**
+ * Compares our own places (seeds) with competitors in the same categories nearby.
+ * Each seed place enqueues searches of its categories within competitorsRadiusKm,
+ * the competitors are scraped as usual and the comparison records are pushed
+ * to a separate named dataset at the end of the run.
+ */
+module.exports = class CompetitorComparison {
+    /**
+     * @param {{
+     *  competitorsRadiusKm?: number,
+     *  zoom?: number,
+     * }} options
+     */
+    constructor({ competitorsRadiusKm, zoom }) {
+        this.isEnabled = !!competitorsRadiusKm;
+        this.radiusKm = competitorsRadiusKm || 0;
+        this.zoom = zoom || GEO_TO_DEFAULT_ZOOM.radius;
+        /** @type {Object.<string, typedefs.ComparedPlace>} */
+        this.seeds = {};
+        /**
+         * All scraped places that are not seeds, competitors are picked from them at the end
+         * because the request queue scrapes places found by more seeds only once
+         * @type {Object.<string, typedefs.ComparedPlace>}
+         */
+        this.places = {};
+    }
+
+    /**
+     * @param {any} events
+     */
+    async initialize(events) {
+        // By default this is a no-op
+        if (!this.isEnabled) {
+            return;
+        }
+        const state = /** @type {{ seeds: Object.<string, typedefs.ComparedPlace>, places: Object.<string, typedefs.ComparedPlace> } | null} */
+            (await Apify.getValue(COMPETITOR_COMPARISON_STATE_KV_RECORD));
+        if (state) {
+            this.seeds = state.seeds;
+            this.places = state.places;
+        }
+
+        events.on('persistState', async () => {
+            await this.persist();
+        });
+    }
+
+    async persist() {
+        if (!this.isEnabled) {
+            return;
+        }
+        await Apify.setValue(COMPETITOR_COMPARISON_STATE_KV_RECORD, { seeds: this.seeds, places: this.places });
+    }
+
+    /**
+     * @param {Record<string, any>} place
+     * @returns {typedefs.ComparedPlace}
+     */
+    toComparedPlace(place) {
+        const { placeId, title, url, categories, location, totalScore, reviewsCount, price } = place;
+        return {
+            placeId,
+            title,
+            url,
+            categories: categories || [],
+            // Places without both coordinates cannot be seeds nor competitors
+            location: location && typeof location.lat === 'number' && typeof location.lng === 'number'
+                ? { lat: location.lat, lng: location.lng }
+                : null,
+            totalScore: typeof totalScore === 'number' ? totalScore : null,
+            reviewsCount: typeof reviewsCount === 'number' ? reviewsCount : null,
+            price: price || null,
+        };
+    }
+
+    /**
+     * Remembers the scraped place and returns the competitor searches to enqueue if it is a seed
+     * @param {Record<string, any>} place
+     * @param {Apify.Request} request
+     * @returns {Promise<Apify.RequestOptions[]>}
+     */
+    async addPlace(place, request) {
+        if (!this.isEnabled) {
+            return [];
+        }
+        const comparedPlace = this.toComparedPlace(place);
+        if (!request.userData.isCompetitorSeed) {
+            this.places[comparedPlace.placeId] = comparedPlace;
+            return [];
+        }
+        this.seeds[comparedPlace.placeId] = comparedPlace;
+        const { location, categories } = comparedPlace;
+        if (!location || categories.length === 0) {
+            log.warning(`[COMPETITORS]: Cannot search competitors of a place without location or categories --- ${request.url}`);
+            return [];
+        }
+        const geolocation = polygonUtils.getCircleGeolocation({ ...location, radiusKm: this.radiusKm });
+        const points = await polygonUtils.findPointsInPolygon(geolocation, this.zoom);
+        /** @type {Apify.RequestOptions[]} */
+        const searchRequests = [];
+        for (const category of categories) {
+            for (const point of points) {
+                const url = `https://www.google.com/maps/@${point.lat},${point.lon},${this.zoom}z/search/${category}`;
+                searchRequests.push({
+                    url,
+                    // Seeds can be close to each other and have the same categories
+                    uniqueKey: `${comparedPlace.placeId}: ${url}`,
+                    userData: { label: LABELS.SEARCH, searchString: category, competitorsOfPlaceId: comparedPlace.placeId },
+                });
+            }
+        }
+        log.info(`[COMPETITORS]: Searching ${categories.length} categories within ${this.radiusKm} km `
+            + `from ${points.length} points for competitors of ${comparedPlace.title} --- ${request.url}`);
+        return searchRequests;
+    }
+
+    /**
+     * Competitor searches only accept places in the circle around their seed
+     * @param {string} seedPlaceId
+     * @returns {typedefs.Geolocation | undefined}
+     */
+    getSearchGeolocation(seedPlaceId) {
+        const seed = this.seeds[seedPlaceId];
+        if (!seed || !seed.location) {
+            return undefined;
+        }
+        return polygonUtils.getCircleGeolocation({ ...seed.location, radiusKm: this.radiusKm });
+    }
+
+    /**
+     * @param {typedefs.ComparedPlace} seed
+     */
+    getComparison(seed) {
+        const competitors = [];
+        for (const place of Object.values(this.places)) {
+            const sharedCategories = place.categories.filter((category) => seed.categories.includes(category));
+            if (!seed.location || !place.location || sharedCategories.length === 0 || this.seeds[place.placeId]) {
+                continue;
+            }
+            const distanceKm = turf.distance([seed.location.lng, seed.location.lat], [place.location.lng, place.location.lat]);
+            if (distanceKm > this.radiusKm) {
+                continue;
+            }
+            competitors.push({ ...place, sharedCategories, distanceKm: Number(distanceKm.toFixed(2)) });
+        }
+        competitors.sort((a, b) => a.distanceKm - b.distanceKm);
+
+        return {
+            ...seed,
+            competitorsRadiusKm: this.radiusKm,
+            competitorsCount: competitors.length,
+            totalScorePercentile: getPercentile(seed.totalScore, competitors.map(({ totalScore }) => totalScore)),
+            reviewsCountPercentile: getPercentile(seed.reviewsCount, competitors.map(({ reviewsCount }) => reviewsCount)),
+            competitors,
+        };
+    }
+
+    async pushComparisons() {
+        if (!this.isEnabled) {
+            return;
+        }
+        await this.persist();
+        const comparisons = Object.values(this.seeds).map((seed) => this.getComparison(seed));
+        const dataset = await Apify.openDataset(COMPETITOR_COMPARISON_DATASET_NAME);
+        await dataset.pushData(comparisons);
+        log.info(`[COMPETITORS]: Pushed comparison of ${comparisons.length} places to dataset "${COMPETITOR_COMPARISON_DATASET_NAME}"`);
+    }
+};
@@ -119,6 +119,20 @@ module.exports = class MaxCrawledPlacesTracker {
         return true;
     }
 
+    /**
+     * Frees the enqueued slot of a place that was filtered out on its detail page
+     * The slot is only reused while the search is still enqueuing, finished searches don't come back for it
+     * @param {string} searchString
+     */
+    async setFilteredOut(searchString) {
+        this.enqueuedTotal = Math.max(this.enqueuedTotal - 1, 0);
+        if (this.enqueuedPerSearch[searchString]) {
+            this.enqueuedPerSearch[searchString]--;
+        }
+        // Migration in the middle of the search would otherwise take the slot again
+        await this.persist();
+    }
+
     async persist() {
         await Apify.setValue(
             MAX_CRAWLED_PLACES_STATE_RECORD_NAME,
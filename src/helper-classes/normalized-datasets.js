@@ -0,0 +1,114 @@
+const Apify = require('apify');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+const { getRunDatasetName } = require('../utils/misc-utils');
+
+const { utils: { log } } = Apify;
+
+const NORMALIZED_PUSHED_PLACES_KV_RECORD = 'NORMALIZED-PUSHED-PLACES';
+
+// Named datasets of the nested place data, every row has the placeId of its place
+const RELATED_DATASET_NAMES = {
+    reviews: 'reviews',
+    images: 'images',
+    popularTimes: 'popular-times',
+    additionalInfo: 'additional-info',
+};
+
+/**
+ * Relational output for loading into warehouses. Places are pushed without the nested arrays,
+ * reviews, images, popular times and additional info go as flat rows to their own named datasets.
+ */
+module.exports = class NormalizedDatasets {
+    /**
+     * @param {{
+     *  normalizedOutput: boolean,
+     *  normalizedOutputPrefix?: string,
+     * }} options
+     */
+    constructor({ normalizedOutput, normalizedOutputPrefix }) {
+        this.isEnabled = normalizedOutput;
+        this.prefix = normalizedOutputPrefix;
+        /** @type {Object.<string, Apify.Dataset>} */
+        this.datasets = {};
+        /**
+         * Retried places must not push their related rows again
+         * @type {Set<string>}
+         */
+        this.pushedPlaceIds = new Set();
+    }
+
+    /**
+     * @param {any} events
+     */
+    async initialize(events) {
+        // By default this is a no-op
+        if (!this.isEnabled) {
+            return;
+        }
+        const datasetNames = Object.values(RELATED_DATASET_NAMES).map((name) => this.getDatasetName(name));
+        for (const [i, key] of Object.keys(RELATED_DATASET_NAMES).entries()) {
+            this.datasets[key] = await Apify.openDataset(datasetNames[i]);
+        }
+        const pushedPlaceIds = /** @type {string[] | null} */ (await Apify.getValue(NORMALIZED_PUSHED_PLACES_KV_RECORD));
+        this.pushedPlaceIds = new Set(pushedPlaceIds || []);
+        log.info(`[NORMALIZED]: Places are pushed to the default dataset, their related data `
+            + `to datasets ${datasetNames.map((name) => `"${name}"`).join(', ')}`);
+
+        events.on('persistState', async () => {
+            await Apify.setValue(NORMALIZED_PUSHED_PLACES_KV_RECORD, [...this.pushedPlaceIds]);
+        });
+    }
+
+    /**
+     * Datasets of the runs don't mix unless the user wants it with the same prefix
+     * @param {string} name
+     * @returns {string}
+     */
+    getDatasetName(name) {
+        return this.prefix ? `${this.prefix}-${name}` : getRunDatasetName(name);
+    }
+
+    /**
+     * @param {Record<string, any>} place
+     * @returns {typedefs.NormalizedPlaceRecords}
+     */
+    splitPlace(place) {
+        const { reviews, imageUrls, popularTimesHistogram, additionalInfo, ...placeWithoutRelated } = place;
+        const { placeId } = place;
+        return {
+            place: placeWithoutRelated,
+            reviews: (reviews || []).map((/** @type {typedefs.Review} */ review) => ({ placeId, ...review })),
+            images: (imageUrls || []).map((/** @type {string} */ imageUrl, /** @type {number} */ position) => ({ placeId, position, imageUrl })),
+            popularTimes: Object.entries(popularTimesHistogram || {}).flatMap(([day, hours]) => {
+                return /** @type {{ hour: number, occupancyPercent: number }[]} */ (hours)
+                    .map(({ hour, occupancyPercent }) => ({ placeId, day, hour, occupancyPercent }));
+            }),
+            // Sections are lists of { option: value } objects
+            additionalInfo: Object.entries(additionalInfo || {}).flatMap(([section, options]) => {
+                return /** @type {Object.<string, any>[]} */ (options).flatMap((option) => Object.entries(option)
+                    .map(([name, value]) => ({ placeId, section, option: name, value })));
+            }),
+        };
+    }
+
+    /**
+     * Pushes the related rows and returns the place that should be pushed to the default dataset
+     * @param {Record<string, any>} place
+     * @returns {Promise<Record<string, any>>}
+     */
+    async pushRelatedRecords(place) {
+        const { place: placeWithoutRelated, ...relatedRecords } = this.splitPlace(place);
+        if (this.pushedPlaceIds.has(place.placeId)) {
+            log.debug(`[NORMALIZED]: Related data of place ${place.placeId} were already pushed, skipping`);
+            return placeWithoutRelated;
+        }
+        for (const [key, rows] of Object.entries(relatedRecords)) {
+            if (rows.length > 0) {
+                await this.datasets[key].pushData(rows);
+            }
+        }
+        this.pushedPlaceIds.add(place.placeId);
+        return placeWithoutRelated;
+    }
+};
@@ -0,0 +1,86 @@
+const Apify = require('apify');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+
+const { utils: { log } } = Apify;
+
+const PLACE_HISTORY_STORE_NAME = 'place-history';
+
+// Fields we track over time, the rest of the place is in the regular output
+const TRACKED_FIELDS = ['totalScore', 'reviewsCount', 'permanentlyClosed', 'temporarilyClosed', 'phone', 'website', 'gasPrices'];
+
+/**
+ * Append-only history of selected place fields across runs.
+ * The key-value store keeps the whole time series of each place under its placeId,
+ * the dataset of the same name gets one row per new point so all places can be exported at once.
+ * A point is only added when some of the tracked fields changed.
+ */
+module.exports = class PlaceHistory {
+    /**
+     * @param {{
+     *  keepPlaceHistory: boolean,
+     * }} options
+     */
+    constructor({ keepPlaceHistory }) {
+        this.keepPlaceHistory = keepPlaceHistory;
+        /** @type {Apify.KeyValueStore | null} */
+        this.store = null;
+        /** @type {Apify.Dataset | null} */
+        this.dataset = null;
+    }
+
+    async initialize() {
+        // By default this is a no-op
+        if (!this.keepPlaceHistory) {
+            return;
+        }
+        this.store = await Apify.openKeyValueStore(PLACE_HISTORY_STORE_NAME);
+        this.dataset = await Apify.openDataset(PLACE_HISTORY_STORE_NAME);
+        log.info(`[HISTORY]: Place history is saved to key-value store and dataset "${PLACE_HISTORY_STORE_NAME}"`);
+    }
+
+    /**
+     * @param {string} placeId
+     */
+    recordKey(placeId) {
+        return placeId.replace(/[^a-zA-Z0-9!\-_.'()]/g, '-').slice(0, 256);
+    }
+
+    /**
+     * @param {string} placeId
+     * @returns {Promise<typedefs.PlaceHistoryRecord | null>}
+     */
+    async getHistory(placeId) {
+        if (!this.store) return null;
+        return /** @type {typedefs.PlaceHistoryRecord | null} */ (await this.store.getValue(this.recordKey(placeId)));
+    }
+
+    /**
+     * @param {Record<string, any>} place
+     */
+    async addSnapshot(place) {
+        if (!this.store || !this.dataset) return;
+        const { placeId, title, scrapedAt } = place;
+
+        /** @type {typedefs.PlaceHistoryPoint} */
+        const point = { scrapedAt };
+        for (const field of TRACKED_FIELDS) {
+            point[field] = place[field] === undefined ? null : place[field];
+        }
+
+        /** @type {typedefs.PlaceHistoryRecord} */
+        const history = (await this.getHistory(placeId)) || { placeId, title, points: [] };
+        const lastPoint = history.points[history.points.length - 1];
+        const hasChanged = !lastPoint
+            || TRACKED_FIELDS.some((field) => JSON.stringify(lastPoint[field]) !== JSON.stringify(point[field]));
+        if (!hasChanged) {
+            log.debug(`[HISTORY]: No change since ${lastPoint.scrapedAt} --- ${placeId}`);
+            return;
+        }
+
+        history.title = title;
+        history.points.push(point);
+        await this.store.setValue(this.recordKey(placeId), history);
+        await this.dataset.pushData({ placeId, title, ...point });
+    }
+};
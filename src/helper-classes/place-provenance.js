@@ -0,0 +1,126 @@
+const Apify = require('apify');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+
+const { getRunDatasetName } = require('../utils/misc-utils');
+
+const { utils: { log } } = Apify;
+
+const PLACES_PROVENANCE_KV_RECORD = 'PLACES-PROVENANCE';
+const FOUND_IN_SEARCHES_DATASET_NAME = 'found-in-searches';
+
+/**
+ * Remembers all searches (search term, search page and rank) that found each place.
+ * The request queue dedupes the places so only the first search would get to the output.
+ * Places are mostly scraped before the other searches find them, so the complete lists
+ * are pushed keyed by placeId to a separate named dataset at the end of the run.
+ */
+module.exports = class PlaceProvenance {
+    /**
+     * @param {{
+     *  includeFoundInSearches?: boolean,
+     * }} options
+     */
+    constructor({ includeFoundInSearches = false }) {
+        this.isEnabled = includeFoundInSearches;
+        /** @type {Object.<string, typedefs.PlaceFoundInSearch[]>} */
+        this.placesSearches = {};
+        this.persistBatchSize = 10000;
+        this.wasPushed = false;
+    }
+
+    /**
+     * @param {any} events
+     */
+    async initialize(events) {
+        // By default this is a no-op
+        if (!this.isEnabled) {
+            return;
+        }
+        await this.load();
+
+        events.on('persistState', async () => {
+            await this.persist();
+        });
+        // Aborted runs don't get to the end, so we push what we have so far
+        events.on('aborting', async () => {
+            await this.pushFoundInSearches();
+        });
+    }
+
+    /**
+     * Same search page can be processed more times when it is retried so we keep only the last one
+     * @param {string} placeKey
+     * @param {typedefs.PlaceFoundInSearch} foundInSearch
+     */
+    addSearch(placeKey, foundInSearch) {
+        if (!this.isEnabled) {
+            return;
+        }
+        if (!this.placesSearches[placeKey]) {
+            this.placesSearches[placeKey] = [];
+        }
+        const searches = this.placesSearches[placeKey];
+        const index = searches.findIndex(({ searchString, searchPageUrl }) => {
+            return searchString === foundInSearch.searchString && searchPageUrl === foundInSearch.searchPageUrl;
+        });
+        if (index === -1) {
+            searches.push(foundInSearch);
+        } else {
+            searches[index] = foundInSearch;
+        }
+    }
+
+    /**
+     * @param {string} placeKey
+     * @returns {typedefs.PlaceFoundInSearch[]}
+     */
+    getSearches(placeKey) {
+        return this.placesSearches[placeKey] || [];
+    }
+
+    async persist() {
+        if (!this.isEnabled) {
+            return;
+        }
+        const entries = Object.entries(this.placesSearches);
+        for (let i = 0; i < entries.length; i += this.persistBatchSize) {
+            const slice = Object.fromEntries(entries.slice(i, i + this.persistBatchSize));
+            await Apify.setValue(`${PLACES_PROVENANCE_KV_RECORD}-${i / this.persistBatchSize}`, slice);
+        }
+    }
+
+    async load() {
+        if (!this.isEnabled) {
+            return;
+        }
+        for (let i = 0; ; i++) {
+            const slice = /** @type {Object.<string, typedefs.PlaceFoundInSearch[]> | null} */
+                (await Apify.getValue(`${PLACES_PROVENANCE_KV_RECORD}-${i}`));
+            if (!slice) {
+                break;
+            }
+            Object.assign(this.placesSearches, slice);
+        }
+        const placesCount = Object.keys(this.placesSearches).length;
+        if (placesCount > 0) {
+            log.info(`[PROVENANCE]: Loaded searches of ${placesCount} places`);
+        }
+    }
+
+    /**
+     * Called at the end of the run when no search can find the places anymore
+     */
+    async pushFoundInSearches() {
+        if (!this.isEnabled || this.wasPushed) {
+            return;
+        }
+        this.wasPushed = true;
+        await this.persist();
+        const rows = Object.entries(this.placesSearches).map(([placeId, foundInSearches]) => ({ placeId, foundInSearches }));
+        const datasetName = getRunDatasetName(FOUND_IN_SEARCHES_DATASET_NAME);
+        const dataset = await Apify.openDataset(datasetName);
+        await dataset.pushData(rows);
+        log.info(`[PROVENANCE]: Pushed searches of ${rows.length} places to dataset "${datasetName}"`);
+    }
+};
@@ -0,0 +1,184 @@
+const Apify = require('apify');
+const crypto = require('crypto');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+
+const { utils: { log, sleep } } = Apify;
+
+const WEBHOOK_STATE_KV_RECORD = 'WEBHOOK-STATE';
+const WEBHOOK_DEAD_LETTER_KV_RECORD = 'WEBHOOK-DEAD-LETTER';
+
+/**
+ * Only server errors, rate limiting and network errors can succeed on retry
+ * @param {number | undefined} statusCode
+ */
+const isRetryable = (statusCode) => statusCode === undefined || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+/**
+ * POSTs the scraped places to the user's endpoint while the run goes on, one by one or in batches.
+ * Failed deliveries are retried with exponential backoff and saved to the WEBHOOK-DEAD-LETTER record
+ * when they keep failing, so they never fail the place itself.
+ */
+module.exports = class PlaceWebhook {
+    /**
+     * @param {{
+     *  webhookUrl?: string,
+     *  webhookHeaders?: Object.<string, string>,
+     *  webhookSecret?: string,
+     *  webhookBatchSize?: number,
+     *  webhookMaxRetries?: number,
+     *  retryDelayMillis?: number,
+     * }} options
+     */
+    constructor({ webhookUrl, webhookHeaders = {}, webhookSecret, webhookBatchSize = 1, webhookMaxRetries = 5, retryDelayMillis = 1000 }) {
+        this.isEnabled = !!webhookUrl;
+        this.url = webhookUrl || '';
+        this.headers = webhookHeaders;
+        this.secret = webhookSecret;
+        this.batchSize = webhookBatchSize;
+        this.maxRetries = webhookMaxRetries;
+        this.retryDelayMillis = retryDelayMillis;
+        /** @type {Record<string, any>[]} */
+        this.pendingPlaces = [];
+        /**
+         * Batches that are being delivered right now, they stay in the state until they are delivered or dead-lettered
+         * @type {Record<string, any>[][]}
+         */
+        this.deliveringBatches = [];
+        /** @type {typedefs.WebhookDeadLetter[]} */
+        this.deadLetters = [];
+        this.deliveredCount = 0;
+        this.failedCount = 0;
+    }
+
+    /**
+     * @param {any} events
+     */
+    async initialize(events) {
+        // By default this is a no-op
+        if (!this.isEnabled) {
+            return;
+        }
+        // Places of the unfinished and undelivered batches before migration
+        const state = /** @type {{ pendingPlaces: Record<string, any>[] } | null} */ (await Apify.getValue(WEBHOOK_STATE_KV_RECORD));
+        if (state) {
+            this.pendingPlaces = state.pendingPlaces;
+        }
+        this.deadLetters = /** @type {typedefs.WebhookDeadLetter[] | null} */ (await Apify.getValue(WEBHOOK_DEAD_LETTER_KV_RECORD)) || [];
+        log.info(`[WEBHOOK]: Sending places to ${new URL(this.url).origin} in batches of ${this.batchSize}`);
+
+        events.on('persistState', async () => {
+            await this.persistState();
+        });
+    }
+
+    async persistState() {
+        // Batches interrupted by migration are sent again after it
+        const pendingPlaces = [...this.deliveringBatches.flat(), ...this.pendingPlaces];
+        await Apify.setValue(WEBHOOK_STATE_KV_RECORD, { pendingPlaces });
+    }
+
+    /**
+     * HMAC SHA-256 of the body, the receiver computes the same with the shared secret
+     * @param {string} body
+     * @returns {Object.<string, string>}
+     */
+    getSignatureHeaders(body) {
+        if (!this.secret) {
+            return {};
+        }
+        const signature = crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+        return { 'X-Signature-256': `sha256=${signature}` };
+    }
+
+    /**
+     * @param {Record<string, any>} place
+     */
+    async addPlace(place) {
+        if (!this.isEnabled) {
+            return;
+        }
+        this.pendingPlaces.push(place);
+        if (this.pendingPlaces.length >= this.batchSize) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Sends the pending places, called when the batch is full and at the end of the run
+     */
+    async flush() {
+        if (!this.isEnabled || this.pendingPlaces.length === 0) {
+            return;
+        }
+        // Other pages keep adding places while we are sending
+        const places = this.pendingPlaces;
+        this.pendingPlaces = [];
+        this.deliveringBatches.push(places);
+        try {
+            // Batches of 1 send the place itself
+            const body = JSON.stringify(this.batchSize === 1 ? places[0] : places);
+            const error = await this.deliver(body);
+            if (!error) {
+                this.deliveredCount += places.length;
+                return;
+            }
+            this.failedCount += places.length;
+            log.warning(`[WEBHOOK]: Delivery of ${places.length} places failed (${error}), saving them to ${WEBHOOK_DEAD_LETTER_KV_RECORD}`);
+            this.deadLetters.push({ failedAt: new Date().toISOString(), error, places });
+            await Apify.setValue(WEBHOOK_DEAD_LETTER_KV_RECORD, this.deadLetters);
+        } finally {
+            this.deliveringBatches = this.deliveringBatches.filter((batch) => batch !== places);
+        }
+    }
+
+    /**
+     * @param {string} body
+     * @returns {Promise<string | null>} Error of the last attempt or null when delivered
+     */
+    async deliver(body) {
+        let lastError = '';
+        for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+            if (attempt > 0) {
+                await sleep(this.retryDelayMillis * (2 ** (attempt - 1)));
+            }
+            /** @type {number | undefined} */
+            let statusCode;
+            try {
+                // payload is the requestAsBrowser alias of the request body
+                const requestOptions = {
+                    url: this.url,
+                    method: 'POST',
+                    payload: body,
+                    headers: { ...this.headers, 'Content-Type': 'application/json', ...this.getSignatureHeaders(body) },
+                    useHttp2: false,
+                };
+                const response = await Apify.utils.requestAsBrowser(requestOptions);
+                statusCode = response.statusCode;
+                if (statusCode && statusCode < 300) {
+                    return null;
+                }
+                lastError = `Status code ${statusCode}`;
+            } catch (err) {
+                lastError = `${/** @type {Error} */ (err).message || err}`;
+            }
+            if (!isRetryable(statusCode)) {
+                break;
+            }
+            log.debug(`[WEBHOOK]: Attempt ${attempt + 1} failed (${lastError})`);
+        }
+        return lastError;
+    }
+
+    /**
+     * Sends the last incomplete batch at the end of the run
+     */
+    async finish() {
+        if (!this.isEnabled) {
+            return;
+        }
+        await this.flush();
+        await this.persistState();
+        log.info(`[WEBHOOK]: Delivered ${this.deliveredCount} places, ${this.failedCount} failed`);
+    }
+};
@@ -0,0 +1,101 @@
+const Apify = require('apify');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+const { OUTPUT_SINKS } = require('../consts');
+const { createOutputSink, getOutputSinkFileName } = require('../utils/output-sinks');
+
+const { utils: { log } } = Apify;
+
+// Uploading the whole files on every persistState would be too slow for big runs
+const SAVE_INTERVAL_MILLIS = 5 * 60 * 1000;
+
+/**
+ * Every pushed place goes through here. It is pushed to the dataset (unless the dataset is not among the sinks)
+ * and written to the file sinks. The files are saved to the key-value store every few minutes, on migration,
+ * on abort and at the end of the run, so they are restored and appended to after a restart.
+ */
+module.exports = class PlacesOutput {
+    /**
+     * @param {{
+     *  outputSinks?: string[],
+     * }} options
+     */
+    constructor({ outputSinks = [OUTPUT_SINKS.DATASET] }) {
+        this.pushesToDataset = outputSinks.includes(OUTPUT_SINKS.DATASET);
+        this.fileSinkTypes = [...new Set(outputSinks)].filter((type) => type !== OUTPUT_SINKS.DATASET);
+        /** @type {typedefs.OutputSink[]} */
+        this.fileSinks = [];
+        this.lastSavedAt = Date.now();
+    }
+
+    /**
+     * @param {any} events
+     */
+    async initialize(events) {
+        if (this.fileSinkTypes.length === 0) {
+            return;
+        }
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'places-output-'));
+        for (const type of this.fileSinkTypes) {
+            const fileName = getOutputSinkFileName(type);
+            const savedContent = await Apify.getValue(fileName);
+            if (savedContent) {
+                const content = Buffer.isBuffer(savedContent) || typeof savedContent === 'string'
+                    ? savedContent
+                    : JSON.stringify(savedContent);
+                fs.writeFileSync(path.join(directory, fileName), content);
+                log.info(`[OUTPUT]: Restored ${fileName} from the key-value store`);
+            }
+            this.fileSinks.push(createOutputSink(type, directory));
+        }
+        log.info(`[OUTPUT]: Writing places to ${this.fileSinkTypes.join(', ')}${this.pushesToDataset ? ' and the dataset' : ''}`);
+
+        events.on('persistState', async (/** @type {{ isMigrating?: boolean }} */ { isMigrating } = {}) => {
+            if (isMigrating || Date.now() - this.lastSavedAt >= SAVE_INTERVAL_MILLIS) {
+                await this.saveFiles();
+            }
+        });
+        events.on('aborting', async () => {
+            await this.saveFiles();
+        });
+    }
+
+    /**
+     * Replacement of Apify.pushData for places
+     * @param {any | any[]} items
+     */
+    async pushData(items) {
+        const itemsArray = Array.isArray(items) ? items : [items];
+        if (this.pushesToDataset) {
+            await Apify.pushData(itemsArray);
+        }
+        for (const sink of this.fileSinks) {
+            sink.write(itemsArray);
+        }
+    }
+
+    async saveFiles() {
+        this.lastSavedAt = Date.now();
+        for (const sink of this.fileSinks) {
+            await Apify.setValue(path.basename(sink.filePath), sink.getContent(), { contentType: sink.contentType });
+        }
+    }
+
+    /**
+     * Saves the files to the key-value store, called at the end of the run
+     */
+    async finish() {
+        if (this.fileSinks.length === 0) {
+            return;
+        }
+        for (const sink of this.fileSinks) {
+            sink.close();
+        }
+        await this.saveFiles();
+        const fileNames = this.fileSinks.map((sink) => path.basename(sink.filePath));
+        log.info(`[OUTPUT]: Saved ${fileNames.join(', ')} to the key-value store`);
+    }
+};
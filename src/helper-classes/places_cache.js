@@ -1,11 +1,23 @@
 const Apify = require('apify');
+const crypto = require('crypto');
 const { utils: { log } } = Apify;
 const { checkInPolygon } = require('../utils/polygon');
+const { MONITORING_CHANGE_TYPES } = require('../consts');
 const cachedPlacesName = 'Places-cached-locations';
 const typedefs = require('../typedefs');
 
+// Fields compared between runs in monitoring mode
+// Volatile fields (scrapedAt, rank, live popular times, reviews...) are left out on purpose
+const MONITORED_FIELDS = [
+    'title', 'subTitle', 'price', 'menu', 'categoryName', 'categories', 'address', 'locatedIn',
+    'plusCode', 'website', 'phone', 'temporarilyClosed', 'permanentlyClosed', 'location',
+    'totalScore', 'reviewsCount', 'reviewsDistribution', 'imagesCount', 'openingHours',
+    'additionalInfo', 'orderBy', 'gasPrices',
+];
+
 // Only used for Heyrick customer, enabled by input
 // TODO: Re-evaluate if we should not remove this
+// Monitoring mode builds on top of it and stores fingerprints of the places to diff them between runs
 module.exports = class PlacesCache {
     cachePlaces;
 
@@ -18,13 +30,18 @@ module.exports = class PlacesCache {
      * @param {{
      *  cachePlaces: boolean,
      *  cacheKey: string,
-     *  useCachedPlaces: boolean
+     *  useCachedPlaces: boolean,
+     *  monitoringMode?: boolean,
      * }} options
      */
-    constructor({ cachePlaces = false, cacheKey, useCachedPlaces }) {
-        this.cachePlaces = cachePlaces;
+    constructor({ cachePlaces = false, cacheKey, useCachedPlaces, monitoringMode = false }) {
+        // Monitoring needs the cache to remember the previous run
+        this.cachePlaces = cachePlaces || monitoringMode;
         this.cacheKey = cacheKey;
         this.useCachedPlaces = useCachedPlaces;
+        this.monitoringMode = monitoringMode;
+        // Marks places seen in this run, the run ID survives migrations on the platform
+        this.runId = Apify.getEnv().actorRunId || new Date().toISOString();
     }
 
     /**
@@ -53,8 +70,9 @@ module.exports = class PlacesCache {
     async loadPlaces() {
         const allPlacesStore = await this.placesStore();
 
+        // The record doesn't exist in the first run
         // @ts-ignore
-        return allPlacesStore ? await allPlacesStore.getValue(this.keyName()) : {};
+        return allPlacesStore ? (await allPlacesStore.getValue(this.keyName())) || {} : {};
     }
 
     /**
@@ -81,7 +99,8 @@ module.exports = class PlacesCache {
     addLocation(placeId, location, keyword) {
         if (!this.cachePlaces) return;
         let place = this.place(placeId) || { location, keywords: [] };
-        place.keywords = [...(place.keywords || []), keyword];
+        // Monitoring mode caches the places on every run, the same searches must not grow the list
+        place.keywords = [...new Set([...(place.keywords || []), keyword])];
         this.allPlaces[placeId] = place;
     }
 
@@ -125,14 +144,89 @@ module.exports = class PlacesCache {
         }
     }
 
+    /**
+     * Compares the scraped place with its fingerprint from the previous run and remembers the new one.
+     * Returns null if monitoring is off or the place didn't change.
+     * @param {Record<string, any>} place
+     * @returns {typedefs.PlaceChange | null}
+     */
+    comparePlace(place) {
+        if (!this.monitoringMode) return null;
+
+        const { placeId } = place;
+        /** @type {Record<string, any>} */
+        const snapshot = {};
+        for (const field of MONITORED_FIELDS) {
+            // Normalized the same way as when it is saved so undefined and null compare well
+            snapshot[field] = place[field] === undefined ? null : JSON.parse(JSON.stringify(place[field]));
+        }
+        const fingerprint = crypto.createHash('md5').update(JSON.stringify(snapshot)).digest('hex');
+
+        const previous = this.place(placeId);
+        this.allPlaces[placeId] = {
+            location: place.location,
+            keywords: [],
+            ...previous,
+            fingerprint,
+            snapshot,
+            lastSeenRunId: this.runId,
+            disappeared: false,
+        };
+
+        if (!previous || !previous.fingerprint || previous.disappeared) {
+            return { changeType: MONITORING_CHANGE_TYPES.NEW, changes: null };
+        }
+        if (previous.fingerprint === fingerprint) {
+            return null;
+        }
+
+        /** @type {typedefs.PlaceChange['changes']} */
+        const changes = {};
+        const previousSnapshot = previous.snapshot || {};
+        for (const field of MONITORED_FIELDS) {
+            const previousValue = previousSnapshot[field] === undefined ? null : previousSnapshot[field];
+            if (JSON.stringify(previousValue) !== JSON.stringify(snapshot[field])) {
+                changes[field] = { previous: previousValue, current: snapshot[field] };
+            }
+        }
+        return { changeType: MONITORING_CHANGE_TYPES.CHANGED, changes };
+    }
+
+    /**
+     * Places that were monitored before but were not scraped in this run.
+     * Each place is reported only once, until it appears again.
+     * @returns {Record<string, any>[]}
+     */
+    popDisappearedPlaces() {
+        /** @type {Record<string, any>[]} */
+        const disappearedPlaces = [];
+        if (!this.monitoringMode) return disappearedPlaces;
+
+        for (const placeId of Object.keys(this.allPlaces)) {
+            const place = this.place(placeId);
+            if (!place || !place.fingerprint || place.disappeared || place.lastSeenRunId === this.runId) {
+                continue;
+            }
+            this.allPlaces[placeId] = { ...place, disappeared: true };
+            disappearedPlaces.push({
+                placeId,
+                ...place.snapshot,
+                changeType: MONITORING_CHANGE_TYPES.DISAPPEARED,
+                changes: null,
+            });
+        }
+        return disappearedPlaces;
+    }
+
     /**
      * Find places for specific polygon a keywords.
      * @param {typedefs.Geolocation | undefined} geolocation
      * @param {number} maxCrawledPlaces
      * @param {string[]} keywords
+     * @param {typedefs.Geolocation} [excludeGeolocation]
      * @returns {string[]}
      */
-    placesInPolygon(geolocation, maxCrawledPlaces, keywords = []) {
+    placesInPolygon(geolocation, maxCrawledPlaces, keywords = [], excludeGeolocation) {
         /** @type {string[]} */
         const arr = [];
 
@@ -141,7 +235,7 @@ module.exports = class PlacesCache {
             // check if cached location is desired polygon and has at least one search string currently needed
             const place = this.place(placeId) || { keywords: [] };
 
-            if (checkInPolygon(geolocation, this.getLocation(placeId)) &&
+            if (checkInPolygon(geolocation, this.getLocation(placeId), excludeGeolocation) &&
                 (place.keywords.length === 0 || place.keywords.filter((x) => keywords.includes(x)).length > 0))
                 arr.push(placeId);
             if (maxCrawledPlaces && maxCrawledPlaces !== 0 && arr.length >= maxCrawledPlaces)
@@ -0,0 +1,202 @@
+const Apify = require('apify');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+
+const { utils: { log } } = Apify;
+
+const RANK_TRACKING_KV_RECORD = 'RANK-TRACKING';
+
+// https://github.com/mapbox/simplestyle-spec so the heatmap has colors in geojson.io
+const RANK_COLORS = [
+    { maxRank: 3, color: '#1a9850' },
+    { maxRank: 10, color: '#fee08b' },
+    { maxRank: 20, color: '#fc8d59' },
+];
+const NOT_FOUND_COLOR = '#d73027';
+
+/**
+ * @param {any} name
+ */
+const normalizeBusinessName = (name) => {
+    return `${name || ''}`.normalize('NFD').replace(/[̀-ͯ]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+};
+
+/**
+ * Local rank tracking ("geogrid"). Searches from a grid of points only record where the tracked place ranks,
+ * no places are enqueued. Results are pushed to the dataset at the end of the run
+ * and saved as a GeoJSON heatmap to the RANK-TRACKING record.
+ */
+module.exports = class RankTracker {
+    /**
+     * @param {{
+     *  placeId?: string,
+     *  businessName?: string,
+     *  maxRank?: number,
+     * }} options
+     */
+    constructor({ placeId, businessName, maxRank = 20 }) {
+        this.placeId = placeId;
+        this.businessName = normalizeBusinessName(businessName);
+        this.maxRank = maxRank;
+        this.isEnabled = !!(placeId || businessName);
+        /**
+         * Finished searches keyed by the request uniqueKey so retries are not counted twice
+         * @type {Object.<string, typedefs.RankTrackingResult>}
+         */
+        this.results = {};
+        /**
+         * Best rank of the place for searches in progress
+         * @type {Object.<string, number>}
+         */
+        this.foundRanks = {};
+    }
+
+    /**
+     * @param {any} events
+     */
+    async initialize(events) {
+        // By default this is a no-op
+        if (!this.isEnabled) {
+            return;
+        }
+        const heatmap = /** @type {{ features: { properties: typedefs.RankTrackingResult }[] } | null} */
+            (await Apify.getValue(RANK_TRACKING_KV_RECORD));
+        for (const { properties } of heatmap ? heatmap.features : []) {
+            const result = { ...properties };
+            delete /** @type {any} */ (result)['marker-color'];
+            this.results[result.uniqueKey] = result;
+        }
+        log.info(`[RANK TRACKING]: Tracking rank of ${this.placeId || `"${this.businessName}"`} in the first ${this.maxRank} results`);
+
+        events.on('persistState', async () => {
+            await this.persist();
+        });
+    }
+
+    /**
+     * Places from the DOM fallback don't always have the place ID
+     * @param {{ placeId: string | null, title?: string | null }} place
+     */
+    isTrackedPlace(place) {
+        if (this.placeId) {
+            return place.placeId === this.placeId;
+        }
+        return normalizeBusinessName(place.title) === this.businessName;
+    }
+
+    /**
+     * Called for each place in the search results
+     * @param {Apify.Request} request
+     * @param {number} rank
+     * @param {{ placeId: string | null, title?: string | null }} place
+     */
+    addSearchResult(request, rank, place) {
+        if (!this.isTrackedPlace(place)) {
+            return;
+        }
+        const foundRank = this.foundRanks[request.uniqueKey];
+        if (foundRank === undefined || rank < foundRank) {
+            this.foundRanks[request.uniqueKey] = rank;
+        }
+    }
+
+    /**
+     * We don't need more results once we know the rank
+     * @param {Apify.Request} request
+     * @param {number} resultsChecked
+     */
+    shouldStopScrolling(request, resultsChecked) {
+        return this.foundRanks[request.uniqueKey] !== undefined || resultsChecked >= this.maxRank;
+    }
+
+    /**
+     * @param {Apify.Request} request
+     * @param {string} searchString
+     * @param {number} resultsChecked
+     */
+    finishSearch(request, searchString, resultsChecked) {
+        if (!this.isEnabled) {
+            return;
+        }
+        const { rankTrackingPoint } = /** @type {{ rankTrackingPoint: typedefs.RankTrackingPoint }} */ (request.userData);
+        const foundRank = this.foundRanks[request.uniqueKey];
+        delete this.foundRanks[request.uniqueKey];
+        /** @type {typedefs.RankTrackingResult} */
+        const result = {
+            searchString,
+            ...rankTrackingPoint,
+            rank: foundRank === undefined ? null : foundRank,
+            resultsChecked,
+            searchPageUrl: request.url,
+            // The URL changes in the preNavigation hook, the results are restored after migration by this
+            uniqueKey: request.uniqueKey,
+        };
+        this.results[request.uniqueKey] = result;
+        log.info(`[RANK TRACKING][${searchString}]: Rank ${result.rank === null ? `not in first ${resultsChecked}` : result.rank} `
+            + `at row ${result.row}, column ${result.column} - ${request.url}`);
+    }
+
+    /**
+     * @param {number | null} rank
+     */
+    getRankColor(rank) {
+        const rankColor = RANK_COLORS.find(({ maxRank }) => rank !== null && rank <= maxRank);
+        return rankColor ? rankColor.color : NOT_FOUND_COLOR;
+    }
+
+    /**
+     * @returns {typedefs.RankTrackingResult[]}
+     */
+    getSortedResults() {
+        return Object.values(this.results).sort((a, b) => {
+            return a.searchString.localeCompare(b.searchString) || a.row - b.row || a.column - b.column;
+        });
+    }
+
+    /**
+     * Points of the grid with the rank, colored from green (top 3) to red (not found)
+     */
+    getHeatmapGeoJson() {
+        return {
+            type: 'FeatureCollection',
+            features: this.getSortedResults().map((result) => ({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [result.lng, result.lat] },
+                properties: { ...result, 'marker-color': this.getRankColor(result.rank) },
+            })),
+        };
+    }
+
+    async persist() {
+        if (!this.isEnabled) {
+            return;
+        }
+        await Apify.setValue(RANK_TRACKING_KV_RECORD, this.getHeatmapGeoJson());
+    }
+
+    /**
+     * Pushes one row for each searched point and logs the average rank for each search term
+     */
+    async pushResults() {
+        if (!this.isEnabled) {
+            return;
+        }
+        const results = this.getSortedResults();
+        await Apify.pushData(results.map(({ uniqueKey, ...result }) => result));
+        await this.persist();
+
+        /** @type {Object.<string, typedefs.RankTrackingResult[]>} */
+        const resultsBySearch = {};
+        for (const result of results) {
+            resultsBySearch[result.searchString] = resultsBySearch[result.searchString] || [];
+            resultsBySearch[result.searchString].push(result);
+        }
+        for (const [searchString, searchResults] of Object.entries(resultsBySearch)) {
+            const ranks = searchResults.map(({ rank }) => rank).filter((rank) => rank !== null);
+            const averageRank = ranks.length > 0
+                ? (/** @type {number[]} */ (ranks).reduce((sum, rank) => sum + rank, 0) / ranks.length).toFixed(1)
+                : '-';
+            log.info(`[RANK TRACKING][${searchString}]: Found in ${ranks.length}/${searchResults.length} points, average rank ${averageRank}`);
+        }
+    }
+};
@@ -0,0 +1,74 @@
+const Apify = require('apify');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+
+const { utils: { log } } = Apify;
+
+const DEFAULT_STORE_NAME = 'reviews-high-water-marks';
+
+/**
+ * Remembers the newest review we have seen for each place across runs (the "high-water mark")
+ * so review pagination sorted by newest can stop at reviews that were already scraped.
+ * Each place has its own record in a named key-value store, keyed by placeId.
+ */
+module.exports = class ReviewsHighWaterMarks {
+    /**
+     * @param {{
+     *  onlyNewReviews: boolean,
+     *  storeName?: string,
+     * }} options
+     */
+    constructor({ onlyNewReviews, storeName }) {
+        this.onlyNewReviews = onlyNewReviews;
+        this.storeName = storeName || DEFAULT_STORE_NAME;
+        /** @type {Apify.KeyValueStore | null} */
+        this.store = null;
+    }
+
+    async initialize() {
+        // By default this is a no-op
+        if (!this.onlyNewReviews) {
+            return;
+        }
+        this.store = await Apify.openKeyValueStore(this.storeName);
+        log.info(`[REVIEWS]: Only new reviews will be scraped, last seen reviews are stored in key-value store "${this.storeName}"`);
+    }
+
+    /**
+     * @param {string} placeId
+     */
+    recordKey(placeId) {
+        return placeId.replace(/[^a-zA-Z0-9!\-_.'()]/g, '-').slice(0, 256);
+    }
+
+    /**
+     * @param {string} placeId
+     * @returns {Promise<typedefs.ReviewsHighWaterMark | null>}
+     */
+    async getMark(placeId) {
+        if (!this.store) return null;
+        return /** @type {typedefs.ReviewsHighWaterMark | null} */ (await this.store.getValue(this.recordKey(placeId)));
+    }
+
+    /**
+     * Moves the mark to the newest of the scraped reviews, it never moves back
+     * @param {string} placeId
+     * @param {typedefs.Review[]} reviews
+     */
+    async updateMark(placeId, reviews) {
+        if (!this.store || reviews.length === 0) return;
+        const previousMark = await this.getMark(placeId);
+        let newestReview = reviews[0];
+        for (const review of reviews) {
+            if (new Date(review.publishedAtDate) > new Date(newestReview.publishedAtDate)) {
+                newestReview = review;
+            }
+        }
+        if (previousMark && new Date(previousMark.publishedAtDate) >= new Date(newestReview.publishedAtDate)) {
+            return;
+        }
+        /** @type {typedefs.ReviewsHighWaterMark} */
+        const mark = { reviewId: newestReview.reviewId, publishedAtDate: newestReview.publishedAtDate };
+        await this.store.setValue(this.recordKey(placeId), mark);
+    }
+};
@@ -0,0 +1,120 @@
+const Apify = require('apify');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+const { parseMapViewportFromUrl } = require('../utils/misc-utils');
+
+const { utils: { log } } = Apify;
+
+const SPONSORED_RESULTS_DATASET_NAME = 'sponsored-results';
+
+/**
+ * Report of the ads (sponsored places) in the search results.
+ * Each search map cell gets one row per advertiser with the slots and scroll pages where it appeared.
+ * Rows are pushed to a separate named dataset when the search finishes, places are not enqueued in this mode.
+ */
+module.exports = class SponsoredResults {
+    /**
+     * @param {{
+     *  sponsoredResultsReport: boolean,
+     * }} options
+     */
+    constructor({ sponsoredResultsReport }) {
+        this.isEnabled = sponsoredResultsReport;
+        /** @type {Apify.Dataset | null} */
+        this.dataset = null;
+        /**
+         * Ads of the searches in progress keyed by the request uniqueKey and then by the advertiser
+         * @type {Object.<string, Object.<string, typedefs.SponsoredResult>>}
+         */
+        this.searchesAds = {};
+        this.adsTotal = 0;
+    }
+
+    async initialize() {
+        // By default this is a no-op
+        if (!this.isEnabled) {
+            return;
+        }
+        this.dataset = await Apify.openDataset(SPONSORED_RESULTS_DATASET_NAME);
+        log.info(`[SPONSORED]: Sponsored results report is saved to dataset "${SPONSORED_RESULTS_DATASET_NAME}", places are not scraped`);
+    }
+
+    /**
+     * Retried search must not count the ads from the failed attempt
+     * @param {Apify.Request} request
+     */
+    startSearch(request) {
+        delete this.searchesAds[request.uniqueKey];
+    }
+
+    /**
+     * @param {Apify.Request} request
+     * @param {{
+     *  placePaginationData: typedefs.PlacePaginationData,
+     *  rank: number,
+     *  adSlot: number,
+     *  pageNum: number,
+     * }} ad
+     */
+    addAd(request, { placePaginationData, rank, adSlot, pageNum }) {
+        if (!this.isEnabled) {
+            return;
+        }
+        const { placeId, title, categories } = placePaginationData;
+        const searchAds = this.searchesAds[request.uniqueKey] || {};
+        this.searchesAds[request.uniqueKey] = searchAds;
+        const advertiserKey = placeId || title || `${adSlot}`;
+        if (!searchAds[advertiserKey]) {
+            const { searchString, areaLabel } = request.userData;
+            const viewport = parseMapViewportFromUrl(request.url);
+            searchAds[advertiserKey] = {
+                searchString: searchString || null,
+                areaLabel,
+                searchPageUrl: request.url,
+                lat: viewport ? viewport.lat : null,
+                lng: viewport ? viewport.lng : null,
+                zoom: viewport ? viewport.zoom : null,
+                placeId,
+                title: title || null,
+                categories: categories || null,
+                appearances: [],
+                appearancesCount: 0,
+                bestAdSlot: adSlot,
+                bestRank: rank,
+            };
+        }
+        const sponsoredResult = searchAds[advertiserKey];
+        sponsoredResult.appearances.push({ pageNum, adSlot, rank });
+        sponsoredResult.appearancesCount++;
+        sponsoredResult.bestAdSlot = Math.min(sponsoredResult.bestAdSlot, adSlot);
+        sponsoredResult.bestRank = Math.min(sponsoredResult.bestRank, rank);
+    }
+
+    /**
+     * @param {Apify.Request} request
+     * @returns {typedefs.SponsoredResult[]}
+     */
+    getSearchAds(request) {
+        return Object.values(this.searchesAds[request.uniqueKey] || {})
+            .sort((a, b) => a.bestRank - b.bestRank);
+    }
+
+    /**
+     * Pushes the advertisers of the finished search
+     * @param {Apify.Request} request
+     */
+    async finishSearch(request) {
+        if (!this.dataset) {
+            return;
+        }
+        const searchAds = this.getSearchAds(request);
+        delete this.searchesAds[request.uniqueKey];
+        this.adsTotal += searchAds.length;
+        log.info(`[SPONSORED][${request.userData.searchString || ''}]: ${searchAds.length} advertisers in this search `
+            + `(${this.adsTotal} total) - ${request.url}`);
+        if (searchAds.length > 0) {
+            const scrapedAt = new Date().toISOString();
+            await this.dataset.pushData(searchAds.map((sponsoredResult) => ({ ...sponsoredResult, scrapedAt })));
+        }
+    }
+};
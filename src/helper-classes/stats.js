@@ -1,17 +1,29 @@
 const Apify = require('apify');
 
 const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+// Not destructured because of the circular require through typedefs
+const polygonUtils = require('../utils/polygon');
 
 const { utils: { log } } = Apify;
 
 module.exports = class Stats {
     constructor() {
         /** @type {typedefs.InnerStats} */
-        this.stats = { failed: 0, ok: 0, outOfPolygon: 0, outOfPolygonCached: 0, places: 0, maps: 0 };
+        this.stats = {
+            failed: 0, ok: 0, outOfPolygon: 0, outOfPolygonCached: 0, places: 0, maps: 0,
+            filteredOut: 0, filteredOutInSearch: 0, filteredOutReasons: {},
+        };
         /** @type {typedefs.PlaceOutOfPolygon[]} */
         this.placesOutOfPolygon = [];
         this.statsKVKey = 'STATS';
         this.placesOutOfPolygonKVKey = 'PLACES-OUT-OF-POLYGON';
+        /**
+         * Keyed by the request uniqueKey, a retried search overwrites its previous attempt
+         * and areas searching the same map view have a cell each
+         * @type {Object.<string, typedefs.SearchCoverage>}
+         */
+        this.searchCoverage = {};
+        this.searchCoverageKVKey = 'SEARCH-COVERAGE';
         this.persistBatchSize = 10000;
     }
 
@@ -24,6 +36,7 @@ module.exports = class Stats {
             this.stats = loadedStats;
         }
         await this.loadPlacesOutsideOfPolygon();
+        await this.loadSearchCoverage();
 
         events.on('persistState', async () => {
             await this.saveStats();
@@ -34,7 +47,7 @@ module.exports = class Stats {
         const statsArray = [];
 
         for (const [key, value] of Object.entries(this.stats)) {
-            statsArray.push(`${key}: ${value}`);
+            statsArray.push(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
         }
 
         log.info(`[STATS]: ${statsArray.join(' | ')}`);
@@ -43,6 +56,7 @@ module.exports = class Stats {
     async saveStats() {
         await Apify.setValue(this.statsKVKey, this.stats);
         await this.persitsPlacesOutsideOfPolygon();
+        await this.persistSearchCoverage();
         await this.logInfo();
     }
 
@@ -70,6 +84,18 @@ module.exports = class Stats {
         this.stats.outOfPolygonCached++;
     }
 
+    /**
+     * @param {string} reason
+     * @param {boolean} [isInSearch] Rejected from the search results, the place page was not opened
+     */
+    filteredOut(reason, isInSearch = false) {
+        this.stats.filteredOut++;
+        if (isInSearch) {
+            this.stats.filteredOutInSearch++;
+        }
+        this.stats.filteredOutReasons[reason] = (this.stats.filteredOutReasons[reason] || 0) + 1;
+    }
+
     /** @param {typedefs.PlaceOutOfPolygon} placeInfo */
     addOutOfPolygonPlace(placeInfo) {
         this.placesOutOfPolygon.push(placeInfo);
@@ -96,4 +122,45 @@ module.exports = class Stats {
             this.placesOutOfPolygon = this.placesOutOfPolygon.concat(placesOutOfPolygonSlice);
         }
     }
+
+    /** @param {typedefs.SearchCoverage} searchCoverage */
+    addSearchCoverage(searchCoverage) {
+        // Areas of the batch input search the same URLs
+        this.searchCoverage[searchCoverage.uniqueKey] = searchCoverage;
+    }
+
+    /**
+     * Searched map cells as GeoJSON so the gaps in coverage can be seen on a map (e.g. http://geojson.io)
+     * Searches without coordinates in the URL have no geometry
+     */
+    getSearchCoverageGeoJson() {
+        return {
+            type: 'FeatureCollection',
+            features: Object.values(this.searchCoverage).map((searchCoverage) => {
+                const { lat, lng, zoom } = searchCoverage;
+                return {
+                    type: 'Feature',
+                    geometry: lat !== null && lng !== null && zoom !== null
+                        ? polygonUtils.getSearchCellPolygon({ lat, lng, zoom })
+                        : null,
+                    properties: searchCoverage,
+                };
+            }),
+        };
+    }
+
+    async persistSearchCoverage() {
+        if (Object.keys(this.searchCoverage).length === 0) {
+            return;
+        }
+        await Apify.setValue(this.searchCoverageKVKey, this.getSearchCoverageGeoJson());
+    }
+
+    async loadSearchCoverage() {
+        const searchCoverageGeoJson = /** @type {{ features: { properties: typedefs.SearchCoverage }[] } | null} */
+            (await Apify.getValue(this.searchCoverageKVKey));
+        for (const { properties } of searchCoverageGeoJson?.features || []) {
+            this.searchCoverage[properties.uniqueKey] = properties;
+        }
+    }
 }
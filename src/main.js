@@ -9,12 +9,26 @@ const ErrorSnapshotter = require('./helper-classes/error-snapshotter');
 const PlacesCache = require('./helper-classes/places_cache');
 const MaxCrawledPlacesTracker = require('./helper-classes/max-crawled-places');
 const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
+const ReviewsHighWaterMarks = require('./helper-classes/reviews-high-water-marks');
+const PlaceHistory = require('./helper-classes/place-history');
+const Cassette = require('./helper-classes/cassette');
+const PlaceProvenance = require('./helper-classes/place-provenance');
+const RankTracker = require('./helper-classes/rank-tracker');
+const SponsoredResults = require('./helper-classes/sponsored-results');
+const CompetitorComparison = require('./helper-classes/competitor-comparison');
+const PlacesOutput = require('./helper-classes/places-output');
+const NormalizedDatasets = require('./helper-classes/normalized-datasets');
+const PlaceWebhook = require('./helper-classes/place-webhook');
 const { prepareSearchUrlsAndGeo } = require('./utils/search');
 const { createStartRequestsWithWalker } = require('./utils/walker');
+const { createRankTrackingStartRequests } = require('./utils/rank-tracking');
 const { makeInputBackwardsCompatible, validateInput, getValidStartRequests, adjustInput } = require('./utils/input-validation');
 const { parseRequestsFromStartUrls } = require('./utils/misc-utils');
 const { setUpEnqueueingInBackground } = require('./utils/background-enqueue');
-const { LABELS } = require('./consts');
+const { getJsonPathsReport } = require('./utils/json-paths');
+const { projectFields } = require('./utils/field-projection');
+const { createBoundaryProvider } = require('./utils/boundary-providers');
+const { LABELS, GEO_TO_DEFAULT_ZOOM, OUTPUT_SINKS } = require('./consts');
 
 const { log } = Apify.utils;
 
@@ -32,7 +46,22 @@ Apify.main(async () => {
         // Search and Start URLs
         startUrls = [], searchStringsArray = [], allPlacesNoSearchAction = '',
         // Geolocation (country is deprecated but we will leave for a long time)
-        lat, lng, country, countryCode, state, county, city, postalCode, zoom, customGeolocation,
+        lat, lng, radiusKm, route, routePolyline, routeBufferMeters, country, countryCode, state, county, city, postalCode, zoom, customGeolocation,
+        adaptiveSplitting = false, maxSplitZoom = 18,
+        // Where we look up country/state/city... boundaries, Nominatim or local GeoJSON file
+        boundaryProvider, boundaryFile,
+        // Picks one of the locations with the same name
+        osmId,
+        // Batch input of many areas, each with its own label
+        areas = [],
+        // Places in this area are skipped, e.g. a city district scraped by another run
+        excludeGeolocation,
+        // Local rank tracking of one place from a grid of points around lat and lng, places are not scraped
+        rankTrackingPlaceId, rankTrackingBusinessName, rankTrackingGridSize = 5, rankTrackingGridSpacingMeters = 1000, rankTrackingMaxRank = 20,
+        // Only reports ads of each search map cell to a named dataset, places are not scraped
+        sponsoredResultsReport = false,
+        // Place IDs and place URLs are our own places compared with the competitors in this radius
+        competitorsRadiusKm,
         // browser and request options
         pageLoadTimeoutSec = 60, useChrome = false, maxConcurrency, maxPagesPerBrowser = 10, maxPageRetries = 6,
         // Misc
@@ -43,14 +72,34 @@ Apify.main(async () => {
         // Scraping options
         includeHistogram = false, includeOpeningHours = false, includePeopleAlsoSearch = false,
         maxReviews = 0, maxImages = 0, exportPlaceUrls = false, additionalInfo = false,
+        // Pushes the place data from the search results without opening the place pages
+        exportListingData = false,
+        // Dataset and/or files (CSV, NDJSON, GeoJSON, SQLite) saved to the key-value store
+        outputSinks = [OUTPUT_SINKS.DATASET],
+        // All searches that found each place go to their own dataset keyed by placeId at the end of the run
+        includeFoundInSearches = false,
+        // Reviews, images, popular times and additional info go to their own datasets keyed by placeId
+        normalizedOutput = false, normalizedOutputPrefix,
+        // Each place (or batch) is POSTed to this URL as soon as it is scraped
+        webhookUrl, webhookHeaders, webhookSecret, webhookBatchSize = 1, webhookMaxRetries = 5,
+        // Include and exclude lists of dotted output paths, fully excluded extractors are skipped
+        fields,
+        // Places below the rating, with few reviews, closed or in other categories are not pushed
+        placeFilters,
 
         maxCrawledPlacesPerSearch = 9999999,
 
         maxAutomaticZoomOut, reviewsTranslation = 'originalAndTranslated', oneReviewPerRow = false,
         // For some rare places, Google doesn't show all reviews unless in newest sorting
-        reviewsSort = 'newest', reviewsStartDate,
+        reviewsSort = 'newest', reviewsStartDate, onlyNewReviews = false,
         // Fields used by Heyrick only, not present in the schema (too narrow use-case for now)
         cachePlaces = false, useCachedPlaces = false, cacheKey = '',
+        // Pushes only new, changed and disappeared places compared to the previous run with the same cacheKey
+        monitoringMode = false,
+        // Keeps a time series of rating, closures, contacts and gas prices of each place across runs
+        keepPlaceHistory = false,
+        // Recording and replaying of whole runs for debugging, not present in the schema
+        cassetteMode = '', cassetteName = '',
 
         // Personal data
         scrapeReviewerName = true, scrapeReviewerId = true, scrapeReviewerUrl = true,
@@ -70,13 +119,46 @@ Apify.main(async () => {
     const errorSnapshotter = new ErrorSnapshotter();
     await errorSnapshotter.initialize(Apify.events);
 
-    // Only used for Heyrick. By default, this is not used and the functions are no-ops
-    const placesCache = new PlacesCache({ cachePlaces, cacheKey, useCachedPlaces });
+    // Only used for Heyrick and monitoring mode. By default, this is not used and the functions are no-ops
+    const placesCache = new PlacesCache({ cachePlaces, cacheKey, useCachedPlaces, monitoringMode });
     await placesCache.initialize();
 
+    // By default, this is not used and the functions are no-ops
+    const cassette = new Cassette({ mode: cassetteMode, name: cassetteName });
+    await cassette.initialize();
+
+    const reviewsHighWaterMarks = new ReviewsHighWaterMarks({ onlyNewReviews });
+    await reviewsHighWaterMarks.initialize();
+
+    const placeHistory = new PlaceHistory({ keepPlaceHistory });
+    await placeHistory.initialize();
+
+    const placeProvenance = new PlaceProvenance({ includeFoundInSearches });
+    await placeProvenance.initialize(Apify.events);
+
+    const rankTracker = new RankTracker({
+        placeId: rankTrackingPlaceId, businessName: rankTrackingBusinessName, maxRank: rankTrackingMaxRank,
+    });
+    await rankTracker.initialize(Apify.events);
+
+    const sponsoredResults = new SponsoredResults({ sponsoredResultsReport });
+    await sponsoredResults.initialize();
+
+    const competitorComparison = new CompetitorComparison({ competitorsRadiusKm, zoom });
+    await competitorComparison.initialize(Apify.events);
+
+    const placesOutput = new PlacesOutput({ outputSinks });
+    await placesOutput.initialize(Apify.events);
+
+    const normalizedDatasets = new NormalizedDatasets({ normalizedOutput, normalizedOutputPrefix });
+    await normalizedDatasets.initialize(Apify.events);
+
+    const placeWebhook = new PlaceWebhook({ webhookUrl, webhookHeaders, webhookSecret, webhookBatchSize, webhookMaxRetries });
+    await placeWebhook.initialize(Apify.events);
+
     /** @type {ExportUrlsDeduper | undefined} */
     let exportUrlsDeduper;
-    if (exportPlaceUrls) {
+    if (exportPlaceUrls || exportListingData) {
         exportUrlsDeduper = new ExportUrlsDeduper();
         await exportUrlsDeduper.initialize(Apify.events);
     }
@@ -89,23 +171,52 @@ Apify.main(async () => {
     // We declare geolocation as top level variable so it is constructed only once in memory,
     // persisted and then used to check all requests
     let geolocation;
-    let startUrlSearches;
+    /**
+     * Each area of the batch input has its own search URLs and geolocation
+     * @type {{ label: string | undefined, startUrlSearches: string[], geolocation: typedefs.Geolocation | undefined }[]}
+     */
+    const searchAreas = [];
     // We crate geolocation only for search. not for Start URLs
     if (startUrls.length === 0) {
-        // This call is async because it persists geolocation into KV
-        ({ startUrlSearches, geolocation } = await prepareSearchUrlsAndGeo({
-            lat,
-            lng,
-            userOverridingZoom: zoom,
-            // country is deprecated but we use it for backwards compatibility
-            // our search works the same with code or full name
-            country: countryCode || country,
-            state,
-            county,
-            city,
-            postalCode,
-            customGeolocation,
-        }));
+        // Without the batch input, the whole run is a single area without a label
+        const areasToPrepare = areas.length > 0
+            ? areas
+            : [{
+                label: undefined, lat, lng, radiusKm, route, routePolyline, routeBufferMeters, zoom,
+                country, countryCode, state, county, city, postalCode, customGeolocation, osmId,
+            }];
+        const areasBoundaryProvider = createBoundaryProvider({ boundaryProvider, boundaryFile });
+        for (const [index, area] of areasToPrepare.entries()) {
+            const geoRecordKey = area.label === undefined ? 'GEO' : `GEO-AREA-${index}`;
+            // This call is async because it persists geolocation into KV
+            const { startUrlSearches, geolocation: areaGeolocation } = await prepareSearchUrlsAndGeo({
+                lat: area.lat,
+                lng: area.lng,
+                radiusKm: area.radiusKm,
+                route: area.route,
+                routePolyline: area.routePolyline,
+                routeBufferMeters: area.routeBufferMeters,
+                userOverridingZoom: area.zoom || zoom,
+                // country is deprecated but we use it for backwards compatibility
+                // our search works the same with code or full name
+                country: area.countryCode || area.country,
+                state: area.state,
+                county: area.county,
+                city: area.city,
+                postalCode: area.postalCode,
+                // Replay must not call the geolocation API, we use the recorded geolocation instead
+                customGeolocation: area.customGeolocation || await cassette.getGeolocation(geoRecordKey),
+                boundaryProvider: areasBoundaryProvider,
+                osmId: area.osmId,
+                geoRecordKey,
+                excludeGeolocation,
+            });
+            await cassette.recordGeolocation(areaGeolocation, geoRecordKey);
+            searchAreas.push({ label: area.label, startUrlSearches, geolocation: areaGeolocation });
+        }
+        if (areas.length === 0) {
+            ({ geolocation } = searchAreas[0]);
+        }
     }
 
     if (allPlacesNoSearchAction) {
@@ -126,7 +237,12 @@ Apify.main(async () => {
 
             const updatedStartUrls = await parseRequestsFromStartUrls(startUrls);
             const validStartRequests = getValidStartRequests(updatedStartUrls);
-            validStartRequests.forEach((req) => startRequests.push(req));
+            for (const req of validStartRequests) {
+                if (competitorComparison.isEnabled && req.userData.label === LABELS.PLACE) {
+                    req.userData.isCompetitorSeed = true;
+                }
+                startRequests.push(req);
+            }
         } else if (searchStringsArray?.length) {
             for (const searchString of searchStringsArray) {
                 // Sometimes users accidentally pass empty strings
@@ -134,8 +250,21 @@ Apify.main(async () => {
                     log.warning(`WRONG INPUT: Search "${searchString}" is not a valid search, skipping`);
                     continue;
                 }
+                if (rankTracker.isEnabled) {
+                    const rankTrackingRequests = createRankTrackingStartRequests({
+                        // Validated to be present in rank tracking mode
+                        lat: Number(lat),
+                        lng: Number(lng),
+                        gridSize: rankTrackingGridSize,
+                        gridSpacingMeters: rankTrackingGridSpacingMeters,
+                        zoom: zoom || GEO_TO_DEFAULT_ZOOM.rankTracking,
+                        searchString,
+                    });
+                    for (const req of rankTrackingRequests) {
+                        startRequests.push(req);
+                    }
                 // TODO: walker is not documented!!! We should figure out if it is useful at all
-                if (walker) {
+                } else if (walker) {
                     const walkerGeneratedRequests = createStartRequestsWithWalker({ walker, searchString });
                     for (const req of walkerGeneratedRequests) {
                         startRequests.push(req);
@@ -150,31 +279,38 @@ Apify.main(async () => {
                     startRequests.push({
                         url: `https://www.google.com/maps/search/?api=1&query=${cleanSearch}&query_place_id=${placeId}`,
                         uniqueKey: placeId,
-                        userData: { label: LABELS.PLACE, searchString },
+                        userData: { label: LABELS.PLACE, searchString, isCompetitorSeed: competitorComparison.isEnabled },
                     });
-                } else if (startUrlSearches) {
+                } else {
                     // For each search, we use the geolocated URLs
-                    for (const startUrlSearch of startUrlSearches) {
-                        const urlWithSearchString = searchString.startsWith('all_places_no_search')
-                            ? startUrlSearch
-                            : `${startUrlSearch}/${searchString}`;
-                        startRequests.push({
-                            url: urlWithSearchString,
-                            uniqueKey: urlWithSearchString,
-                            userData: { label: LABELS.SEARCH, searchString },
-                        });
+                    for (const { label: areaLabel, startUrlSearches } of searchAreas) {
+                        for (const startUrlSearch of startUrlSearches) {
+                            const urlWithSearchString = searchString.startsWith('all_places_no_search')
+                                ? startUrlSearch
+                                : `${startUrlSearch}/${searchString}`;
+                            startRequests.push({
+                                url: urlWithSearchString,
+                                // Areas can overlap so they can have the same URL
+                                uniqueKey: areaLabel ? `${areaLabel}: ${urlWithSearchString}` : urlWithSearchString,
+                                userData: { label: LABELS.SEARCH, searchString, areaLabel },
+                            });
+                        }
                     }
                 }
             }
 
             // use cached place ids for geolocation
-            for (const placeId of placesCache.placesInPolygon(geolocation, maxCrawledPlacesPerSearch * searchStringsArray.length, searchStringsArray)) {
-                const searchString = searchStringsArray.filter(x => placesCache.place(placeId)?.keywords.includes(x))[0];
-                startRequests.push({
-                    url: `https://www.google.com/maps/search/?api=1&query=${searchString}&query_place_id=${placeId}`,
-                    uniqueKey: placeId,
-                    userData: { label: LABELS.PLACE, searchString, rank: null },
-                });
+            for (const { label: areaLabel, geolocation: areaGeolocation } of searchAreas) {
+                for (const placeId of placesCache.placesInPolygon(
+                    areaGeolocation, maxCrawledPlacesPerSearch * searchStringsArray.length, searchStringsArray, excludeGeolocation,
+                )) {
+                    const searchString = searchStringsArray.filter(x => placesCache.place(placeId)?.keywords.includes(x))[0];
+                    startRequests.push({
+                        url: `https://www.google.com/maps/search/?api=1&query=${searchString}&query_place_id=${placeId}`,
+                        uniqueKey: placeId,
+                        userData: { label: LABELS.PLACE, searchString, rank: null, areaLabel },
+                    });
+                }
             }
         }
 
@@ -193,7 +329,11 @@ Apify.main(async () => {
     }
 
     // We have to define this class here because we can expand new requests during the preparation
-    const maxCrawledPlaces = (searchStringsArray.length || startRequests.length) * maxCrawledPlacesPerSearch;
+    // Each area of the batch input has its own maxCrawledPlacesPerSearch
+    // Seed places of the competitor comparison add searches of their categories so only the per search limit applies
+    const maxCrawledPlaces = competitorComparison.isEnabled
+        ? Number.MAX_SAFE_INTEGER
+        : (searchStringsArray.length * Math.max(areas.length, 1) || startRequests.length) * maxCrawledPlacesPerSearch;
     const maxCrawledPlacesTracker = new MaxCrawledPlacesTracker(maxCrawledPlaces, maxCrawledPlacesPerSearch);
     await maxCrawledPlacesTracker.initialize(Apify.events);
 
@@ -202,8 +342,9 @@ Apify.main(async () => {
 
     // Only create proxy configuration if proxyConfig is provided and we're on Apify platform
     // For local runs without proxy, we skip this
+    // Replay never goes to the network so it doesn't need proxies either
     let proxyConfiguration = undefined;
-    if (proxyConfig && (proxyConfig.useApifyProxy || proxyConfig.proxyUrls)) {
+    if (!cassette.isReplaying && proxyConfig && (proxyConfig.useApifyProxy || proxyConfig.proxyUrls)) {
         try {
             proxyConfiguration = await Apify.createProxyConfiguration(proxyConfig);
         } catch (e) {
@@ -252,25 +393,55 @@ Apify.main(async () => {
     /** @type {typedefs.ScrapingOptions} */
     const scrapingOptions = {
         includeHistogram, includeOpeningHours, includePeopleAlsoSearch,
-        maxReviews, maxImages, exportPlaceUrls, additionalInfo,
-        maxAutomaticZoomOut, reviewsSort, language, reviewsStartDate,
-        geolocation, reviewsTranslation,
-        personalDataOptions, oneReviewPerRow,
+        maxReviews, maxImages, exportPlaceUrls, exportListingData, additionalInfo,
+        maxAutomaticZoomOut, reviewsSort, language, reviewsStartDate, adaptiveSplitting, maxSplitZoom,
+        geolocation, excludeGeolocation, reviewsTranslation,
+        areaGeolocations: Object.fromEntries(searchAreas
+            .filter(({ label }) => label)
+            .map(({ label, geolocation: areaGeolocation }) => [label, areaGeolocation])),
+        personalDataOptions, oneReviewPerRow, fields, placeFilters,
         allPlacesNoSearchAction
     };
 
     /** @type {typedefs.HelperClasses} */
     const helperClasses = {
-        stats, errorSnapshotter, maxCrawledPlacesTracker, placesCache, exportUrlsDeduper,
+        stats, errorSnapshotter, maxCrawledPlacesTracker, placesCache, exportUrlsDeduper, reviewsHighWaterMarks, placeHistory, placeProvenance, cassette,
+        rankTracker, sponsoredResults, competitorComparison, placesOutput, normalizedDatasets, placeWebhook,
     };
 
     // Create and run crawler
     const crawler = placesCrawler.setUpCrawler({ crawlerOptions, scrapingOptions, helperClasses });
 
     await crawler.run();
+
+    // Places that were not reached in an incomplete run would be reported as disappeared
+    const isCompleteRun = stats.stats.failed === 0 && maxCrawledPlacesTracker.canScrapeMore();
+    const disappearedPlaces = isCompleteRun ? placesCache.popDisappearedPlaces() : [];
+    if (placesCache.monitoringMode && !isCompleteRun) {
+        log.warning('[MONITORING]: Run was not complete (failed requests or max places reached), skipping disappeared places');
+    }
+    if (disappearedPlaces.length > 0) {
+        log.info(`[MONITORING]: ${disappearedPlaces.length} places from the previous run were not found anymore`);
+        // Same way as the scraped places so they respect the fields and reach the webhook too
+        for (const disappearedPlace of disappearedPlaces) {
+            const outputPlace = projectFields(disappearedPlace, fields);
+            await placesOutput.pushData(outputPlace);
+            await placeWebhook.addPlace(outputPlace);
+        }
+    }
+
     await stats.saveStats();
     await placesCache.savePlaces();
     await maxCrawledPlacesTracker.persist();
+    // Contains also the searches that found places after they were scraped
+    await placeProvenance.pushFoundInSearches();
+    // Rank tracking rows are pushed only at the end, sorted by the search and the grid position
+    await rankTracker.pushResults();
+    await competitorComparison.pushComparisons();
+    await placesOutput.finish();
+    await placeWebhook.finish();
+    // Shows which JSON paths (primary or fallback) were used, helps to spot Google layout changes
+    await Apify.setValue('JSON-PATHS-REPORT', getJsonPathsReport());
 
     log.info('Scraping finished!');
 });
@@ -6,6 +6,7 @@ const { PlacePaginationData, PopularTimesOutput } = require('../typedefs');
 
 const { PLACE_TITLE_SEL } = require('../consts');
 const { waitForGoogleMapLoader, fixFloatNumber, navigateBack, unstringifyGoogleXrhResponse } = require('../utils/misc-utils');
+const { getJsonField } = require('../utils/json-paths');
 
 const { log } = Apify.utils;
 
@@ -19,10 +20,10 @@ const parseJsonResult = (placeData, isAdvertisement) => {
         return;
     }
 
-    const categories = placeData[13];
+    const categories = getJsonField(placeData, 'place', 'categories');
 
     // Some places don't have any address
-    const addressDetail = placeData[183]?.[1];
+    const addressDetail = getJsonField(placeData, 'place', 'addressDetail');
     const addressParsed = {
         neighborhood: addressDetail?.[1],
         street: addressDetail?.[2],
@@ -32,21 +33,31 @@ const parseJsonResult = (placeData, isAdvertisement) => {
         countryCode: addressDetail?.[6],
     };
 
-    const coordsArr = placeData[9];
-    // TODO: Very rarely place[9] is empty, figure out why
+    const coordsArr = getJsonField(placeData, 'place', 'coords');
     const coords = coordsArr
         ? { lat: fixFloatNumber(coordsArr[2]), lng: fixFloatNumber(coordsArr[3]) }
         : { lat: null, lng: null };
 
     return {
-        placeId: placeData[78],
+        placeId: getJsonField(placeData, 'place', 'placeId'),
+        title: getJsonField(placeData, 'place', 'title') || null,
         coords,
         addressParsed,
         isAdvertisement,
-        website: placeData[7]?.[0] || null,
+        website: getJsonField(placeData, 'place', 'website') || null,
         categories,
+        // The search response has these too so the listing mode doesn't have to open the place page
+        address: getJsonField(placeData, 'place', 'address') || null,
+        phone: getJsonField(placeData, 'place', 'phone') || null,
+        totalScore: getJsonField(placeData, 'place', 'totalScore') ?? null,
+        reviewsCount: getJsonField(placeData, 'place', 'reviewsCount') ?? null,
+        price: getJsonField(placeData, 'place', 'price') || null,
+        permanentlyClosed: getJsonField(placeData, 'place', 'closedStatus') === 'CLOSED'
+            || getJsonField(placeData, 'place', 'closedText') === 'Permanently closed',
+        openingStatus: getJsonField(placeData, 'place', 'closedText') || null,
     };
 }
+module.exports.parseJsonResult = parseJsonResult;
 
 /**
  * Response from google xhr is kind a weird. Mix of array of array.
@@ -130,7 +141,7 @@ module.exports.parseSearchPlacesResponseBody = (responseBodyText, isAllPacesNoSe
     // TODO: Maybe split this into more try/catches
     try {
         if (isAllPacesNoSearch) {
-            const placeData = parseJsonResult(jsonObject[6], false);
+            const placeData = parseJsonResult(getJsonField(jsonObject, 'searchResponse', 'previewPlace'), false);
             if (placeData) {
                 placesPaginationData.push(placeData)
             } else {
@@ -184,10 +195,10 @@ module.exports.parseSearchPlacesResponseBody = (responseBodyText, isAllPacesNoSe
         }
 
         // We are paring ads but seems Google is not showing them to the scraper right now
-        const ads = (data[2] && data[2][1] && data[2][1][0]) || [];
+        const ads = getJsonField(data, 'searchResponse', 'ads') || [];
 
         ads.forEach((/** @type {any} */ ad) => {
-            const placeData = parseJsonResult(ad[15], true);
+            const placeData = parseJsonResult(getJsonField(ad, 'searchResponse', 'adPlace'), true);
             if (placeData) {
                 placesPaginationData.push(placeData);
             } else {
@@ -331,7 +342,7 @@ module.exports.extractPopularTimes = ({ jsonData }) => {
     if (!jsonData) {
         return {};
     }
-    const popularTimesData = jsonData[84];
+    const popularTimesData = getJsonField(jsonData, 'place', 'popularTimes');
     if (!popularTimesData) {
         return {};
     }
@@ -339,8 +350,8 @@ module.exports.extractPopularTimes = ({ jsonData }) => {
     /** @type {PopularTimesOutput} */
     const output = {
         // Live data are not present if it is outside opening hours now
-        popularTimesLiveText: popularTimesData[6] || null,
-        popularTimesLivePercent: popularTimesData[7]?.[1] || null,
+        popularTimesLiveText: getJsonField(popularTimesData, 'popularTimes', 'liveText') || null,
+        popularTimesLivePercent: getJsonField(popularTimesData, 'popularTimes', 'livePercent') || null,
         popularTimesHistogram: {},
     };
 
@@ -352,7 +363,7 @@ module.exports.extractPopularTimes = ({ jsonData }) => {
 
     const DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
     /** @type {any[]} */
-    const daysData = popularTimesData[0];
+    const daysData = getJsonField(popularTimesData, 'popularTimes', 'histogram') || [];
     daysData.forEach((dayData, i) => {
         output.popularTimesHistogram[DAYS[i]] = [];
         const hoursData = dayData[1];
@@ -373,8 +384,9 @@ module.exports.extractPopularTimes = ({ jsonData }) => {
  * }} options
  */
 module.exports.extractOpeningHours = async ({ page, jsonData }) => {
-    if (jsonData?.[34]?.[1]?.[0] && jsonData?.[34]?.[1]?.[1]) {
-        return jsonData[34][1].map((/** @type {any[]} */ entry) => ({
+    const openingHoursJson = getJsonField(jsonData, 'place', 'openingHours');
+    if (openingHoursJson?.[0] && openingHoursJson?.[1]) {
+        return openingHoursJson.map((/** @type {any[]} */ entry) => ({
             // adding a "," to make it consistent to extracting data from the DOM (old format)
             day: `${entry[0]},`,
             // replace "–" by " to " to make it consistent to extracting data from the DOM
@@ -580,50 +592,56 @@ const extractAdditionalInfoFromJson = ({ jsonData }) => {
  * @throws {TypeError} if jsonData can't be parsed properly
  */
 const extractAdditionalInfoBasicFromJson = ({ jsonData }) => {
-    if (!jsonData?.[100]) {
+    const sections = getJsonField(jsonData, 'place', 'additionalInfo');
+    if (!sections) {
         return undefined;
     }
-    if (!jsonData[100][1]?.[0]?.[1]
-        || !Array.isArray(jsonData[100][1]?.[0]?.[2])) {
+    if (!getJsonField(sections[0], 'additionalInfoSection', 'name')
+        || !getJsonField(sections[0], 'additionalInfoSection', 'options')) {
         throw new TypeError("wrong format");
     }
     const result = {}
-    for (const section of jsonData[100][1]) {
+    for (const section of sections) {
+        const options = getJsonField(section, 'additionalInfoSection', 'options') || [];
         // @ts-ignore
-        result[section[1]] = section[2].flatMap(option => {
-            // @ts-ignore
-            if (typeof option?.[1] !== 'string') {
+        result[getJsonField(section, 'additionalInfoSection', 'name')] = options.flatMap(option => {
+            const optionId = getJsonField(option, 'additionalInfoOption', 'id');
+            const optionName = getJsonField(option, 'additionalInfoOption', 'name');
+            if (!optionName) {
                 throw new TypeError("wrong format for option name");
             }
-            if (typeof option?.[2]?.[2]?.[0] === 'number') {
-                return { [option[1]]: option[2][2][0] == 1 }
+            const isAvailable = getJsonField(option, 'additionalInfoOption', 'isAvailable');
+            if (isAvailable !== undefined) {
+                return { [optionName]: isAvailable == 1 }
             }
             // accepted types of credit cards are listed in JSON
             // (although the Google Maps Frontend doesn't show the specific types)
-            if (option?.[0] === "/geo/type/establishment_poi/pay_credit_card_types_accepted") {
-                const acceptedCards = option?.[2]?.[4]?.[1]?.[0]?.[0]
-                if (Array.isArray(acceptedCards)) {
+            if (optionId === "/geo/type/establishment_poi/pay_credit_card_types_accepted") {
+                const acceptedCards = getJsonField(option, 'additionalInfoOption', 'acceptedCards');
+                if (acceptedCards) {
                     const firstCard = acceptedCards?.[0]
                     // each card is stored in an array with >= 4 elements
-                    return { [option[1]]: Array.isArray(firstCard) && firstCard.length >= 4 }
+                    return { [optionName]: Array.isArray(firstCard) && firstCard.length >= 4 }
                 } else {
-                    throw new TypeError(`${option[1]}: wrong format for accepted cards`);
+                    throw new TypeError(`${optionName}: wrong format for accepted cards`);
                 }
             }
             // wifi options are sometimes listed in JSON
-            if (option?.[0] === "/geo/type/establishment_poi/wi_fi") {
-                if (!Array.isArray(option?.[2]?.[3])) {
+            if (optionId === "/geo/type/establishment_poi/wi_fi") {
+                const details = getJsonField(option, 'additionalInfoOption', 'details');
+                if (!Array.isArray(details?.[3])) {
                     throw new TypeError(`wrong format for wifi options`);
                 }
-                const wifiOptions = option?.[2].slice(3)
+                const wifiOptions = details.slice(3)
                 return wifiOptions.map((/** @type {any[]} */ wifiOption) => {
-                    if (typeof wifiOption?.[2] != "string") {
+                    const wifiOptionName = getJsonField(wifiOption, 'additionalInfoWifiOption', 'name');
+                    if (!wifiOptionName) {
                         throw new TypeError(`wrong format for wifi option`);
                     }
-                    return { [wifiOption[2]]: true }
+                    return { [wifiOptionName]: true }
                 });
             }
-            throw new TypeError(`${option[1]}: wrong format for option value`);
+            throw new TypeError(`${optionName}: wrong format for option value`);
         });
     };
     return result;
@@ -643,16 +661,17 @@ const extractHotelAmenitiesFromJson = ({ jsonData }) => {
     // When Google doesn't display amenities, mostly jsonData[64] is null but
     // sometimes jsonData[64] also has a non-nested array with mostly nulls in it.
     // -> !jsonData?.[64] wouldn't be sufficient here
-    if (!jsonData?.[64]?.[2]?.[0]) {
+    const amenities = getJsonField(jsonData, 'place', 'hotelAmenities');
+    if (!amenities?.[0]) {
         return undefined;
     }
-    if (!jsonData[64][2][0][2]
-        || typeof jsonData[64][2][0][3] != 'number') {
+    if (!getJsonField(amenities[0], 'hotelAmenity', 'name')
+        || getJsonField(amenities[0], 'hotelAmenity', 'isAvailable') === undefined) {
         throw new TypeError("wrong format for hotel amenities");
     }
     return {
-        "Amenities": jsonData[64][2].map((/** @type {any[]} */ option) => ({
-            [option[2]]: option[3] == 1
+        "Amenities": amenities.map((/** @type {any[]} */ option) => ({
+            [getJsonField(option, 'hotelAmenity', 'name')]: getJsonField(option, 'hotelAmenity', 'isAvailable') == 1
         }))
     };
 }
@@ -0,0 +1,153 @@
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+
+const { getJsonField } = require('../utils/json-paths');
+
+/** @param {number} num */
+const pad = (num) => `${num}`.padStart(2, '0');
+
+/** @param {string} time HH:MM */
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * ISO weekday, Monday is 1 and Sunday is 7
+ * @param {string} date YYYY-MM-DD
+ */
+const getIsoWeekday = (date) => {
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+    return day === 0 ? 7 : day;
+};
+
+/**
+ * Special note can be a string or nested in arrays, we take the first text
+ * @param {any} specialNote
+ * @returns {string | null}
+ */
+const findFirstString = (specialNote) => {
+    if (typeof specialNote === 'string') {
+        return specialNote;
+    }
+    if (Array.isArray(specialNote)) {
+        for (const item of specialNote) {
+            const text = findFirstString(item);
+            if (text) {
+                return text;
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Parses opening hours from the JSON data so they don't depend on the language
+ * Google gives us the upcoming 7 days with dates so holidays have their real hours there
+ * @param {any} jsonData
+ * @returns {typedefs.StructuredOpeningHours[] | undefined}
+ */
+const parseStructuredOpeningHours = (jsonData) => {
+    const openingHoursJson = getJsonField(jsonData, 'place', 'openingHours');
+    if (!openingHoursJson) {
+        return undefined;
+    }
+    /** @type {typedefs.StructuredOpeningHours[]} */
+    const result = [];
+    for (const dayJson of openingHoursJson) {
+        const date = getJsonField(dayJson, 'openingHoursDay', 'date');
+        if (!date) {
+            continue;
+        }
+        const intervalsJson = getJsonField(dayJson, 'openingHoursDay', 'intervals') || [];
+        const intervals = intervalsJson
+            .filter((/** @type {any} */ interval) => Array.isArray(interval))
+            .map((/** @type {number[]} */ [openHour, openMinute, closeHour, closeMinute]) => {
+                const open = `${pad(openHour || 0)}:${pad(openMinute || 0)}`;
+                const close = `${pad(closeHour || 0)}:${pad(closeMinute || 0)}`;
+                // Closing at or before the opening time means the next day, 00:00-00:00 is open 24 hours
+                return { open, close, overnight: toMinutes(close) <= toMinutes(open) };
+            });
+        const specialNote = findFirstString(getJsonField(dayJson, 'openingHoursDay', 'specialNote'));
+        result.push({
+            day: getIsoWeekday(date),
+            date,
+            isClosed: intervals.length === 0,
+            intervals,
+            isSpecial: !!specialNote,
+            specialNote,
+        });
+    }
+    return result.length > 0 ? result : undefined;
+};
+module.exports.parseStructuredOpeningHours = parseStructuredOpeningHours;
+
+/**
+ * Local date and time of the place
+ * @param {string} timezone IANA timezone, e.g. Europe/London
+ * @param {Date} now
+ */
+const getLocalTime = (timezone, now) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    }).formatToParts(now);
+    /** @type {Record<string, string>} */
+    const values = {};
+    for (const { type, value } of parts) {
+        values[type] = value;
+    }
+    const date = `${values.year}-${values.month}-${values.day}`;
+    const yesterday = new Date(Date.parse(`${date}T00:00:00Z`) - 24 * 3600 * 1000).toISOString().slice(0, 10);
+    return { date, yesterday, minutes: Number(values.hour) * 60 + Number(values.minute) };
+};
+
+/**
+ * Finds the day by the exact date first, the hours can be older than a week (e.g. from cache)
+ * so we fallback to the same weekday
+ * @param {typedefs.StructuredOpeningHours[]} openingHours
+ * @param {string} date
+ */
+const findDay = (openingHours, date) => {
+    return openingHours.find((day) => day.date === date)
+        || openingHours.find((day) => !day.isSpecial && day.day === getIsoWeekday(date));
+};
+
+/**
+ * Returns null if we don't know the hours or the timezone
+ * @param {typedefs.StructuredOpeningHours[] | undefined} openingHours
+ * @param {string | undefined} timezone
+ * @param {Date} [now]
+ * @returns {boolean | null}
+ */
+const isOpenAt = (openingHours, timezone, now = new Date()) => {
+    if (!openingHours || !timezone) {
+        return null;
+    }
+    let localTime;
+    try {
+        localTime = getLocalTime(timezone, now);
+    } catch (e) {
+        // Unknown timezone
+        return null;
+    }
+    const { date, yesterday, minutes } = localTime;
+    const today = findDay(openingHours, date);
+    const previousDay = findDay(openingHours, yesterday);
+    if (!today && !previousDay) {
+        return null;
+    }
+    const isOpenToday = (today?.intervals || []).some(({ open, close, overnight }) => {
+        return minutes >= toMinutes(open) && (overnight || minutes < toMinutes(close));
+    });
+    // Overnight hours from the previous day, e.g. Friday 22:00-04:00 when it is Saturday 02:00
+    const isOpenFromPreviousDay = (previousDay?.intervals || []).some(({ close, overnight }) => {
+        return overnight && minutes < toMinutes(close);
+    });
+    return isOpenToday || isOpenFromPreviousDay;
+};
+module.exports.isOpenAt = isOpenAt;
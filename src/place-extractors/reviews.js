@@ -3,6 +3,7 @@ const Puppeteer = require('puppeteer'); /// eslint-disable-line no-unused-vars
 const GoogleMapsDataAST = require('google-maps-data-ast');
 
 const { unstringifyGoogleXrhResponse } = require('../utils/misc-utils');
+const { getJsonField } = require('../utils/json-paths');
 
 const { Review, PersonalDataOptions } = require('../typedefs');
 
@@ -86,6 +87,20 @@ const removePersonalDataFromReviews = (reviews, personalDataOptions) => {
     return reviews;
 }
 
+/**
+ * Review is known if it is the last seen one or older than it
+ * @param {Review} review
+ * @param {import('../typedefs').ReviewsHighWaterMark} mark
+ * @returns {boolean}
+ */
+const isKnownReview = (review, mark) => {
+    if (mark.reviewId && review.reviewId === mark.reviewId) {
+        return true;
+    }
+    return new Date(review.publishedAtDate) < new Date(mark.publishedAtDate);
+};
+module.exports.isKnownReview = isKnownReview;
+
 /**
  * Parses review from a single review array json Google format
  * @param {any} jsonArray
@@ -93,7 +108,7 @@ const removePersonalDataFromReviews = (reviews, personalDataOptions) => {
  * @return {Review}
  */
 const parseReviewFromJson = (jsonArray, reviewsTranslation) => {
-    let text = jsonArray[3];
+    let text = getJsonField(jsonArray, 'review', 'text') ?? null;
 
     // Optionally remove translation
     // TODO: Perhaps the text is differentiated in the JSON
@@ -109,29 +124,32 @@ const parseReviewFromJson = (jsonArray, reviewsTranslation) => {
         text = text.replace('(Translated by Google)', '').replace('\n\n(Original)\n', '').trim();
     }
 
+    const responseFromOwnerDate = getJsonField(jsonArray, 'review', 'responseFromOwnerDate');
+
     return {
-        name: jsonArray[0][1],
+        name: getJsonField(jsonArray, 'review', 'name') ?? null,
         text,
-        publishAt: jsonArray[1],
-        publishedAtDate: new Date(jsonArray[27]).toISOString(),
-        likesCount: jsonArray[16],
-        reviewId: jsonArray[10],
-        reviewUrl: jsonArray[18],
-        reviewerId: jsonArray[6],
-        reviewerUrl: jsonArray[0][0],
-        reviewerNumberOfReviews: jsonArray[12] && jsonArray[12][1] && jsonArray[12][1][1],
-        isLocalGuide: jsonArray[12] && jsonArray[12][1] && Array.isArray(jsonArray[12][1][0]),
+        publishAt: getJsonField(jsonArray, 'review', 'publishAt'),
+        publishedAtDate: new Date(getJsonField(jsonArray, 'review', 'publishedAtDate')).toISOString(),
+        likesCount: getJsonField(jsonArray, 'review', 'likesCount'),
+        reviewId: getJsonField(jsonArray, 'review', 'reviewId'),
+        reviewUrl: getJsonField(jsonArray, 'review', 'reviewUrl'),
+        reviewerId: getJsonField(jsonArray, 'review', 'reviewerId'),
+        reviewerUrl: getJsonField(jsonArray, 'review', 'reviewerUrl'),
+        reviewerNumberOfReviews: getJsonField(jsonArray, 'review', 'reviewerNumberOfReviews') ?? null,
+        isLocalGuide: !!getJsonField(jsonArray, 'review', 'localGuideBadge'),
         // On some places google shows reviews from other services like booking
         // There isn't stars but rating for this places reviews
-        stars: jsonArray[4] || null,
+        stars: getJsonField(jsonArray, 'review', 'stars') || null,
         // Trip advisor
-        rating: jsonArray[25] ? jsonArray[25][1] : null,
-        responseFromOwnerDate: jsonArray[9] && jsonArray[9][3]
-            ? new Date(jsonArray[9][3]).toISOString()
+        rating: getJsonField(jsonArray, 'review', 'rating') ?? null,
+        responseFromOwnerDate: responseFromOwnerDate
+            ? new Date(responseFromOwnerDate).toISOString()
             : null,
-        responseFromOwnerText: jsonArray[9] ? jsonArray[9][1] : null,
+        responseFromOwnerText: getJsonField(jsonArray, 'review', 'responseFromOwnerText') ?? null,
     };
 }
+module.exports.parseReviewFromJson = parseReviewFromJson;
 
 
 
@@ -155,16 +173,18 @@ const parseReviewFromResponseBody = (responseBody, reviewsTranslation) => {
         const error = /** @type {Error | string} */ (e);
         return { error };
     }
-    if (!results || !results[2]) {
+    const reviewsJson = getJsonField(results, 'reviewsResponse', 'reviews');
+    if (!reviewsJson) {
         return { currentReviews };
     }
-    results[2].forEach((/** @type {any} */ jsonArray) => {
+    reviewsJson.forEach((/** @type {any} */ jsonArray) => {
         const review = parseReviewFromJson(jsonArray, reviewsTranslation);
         currentReviews.push(review);
     });
-    const nextBatchCursor = results?.[2]?.[9]?.[61];
+    const nextBatchCursor = getJsonField(results, 'reviewsResponse', 'nextBatchCursor');
     return { currentReviews, nextBatchCursor };
 };
+module.exports.parseReviewFromResponseBody = parseReviewFromResponseBody;
 
 /**
  * @param {{
@@ -177,11 +197,12 @@ const parseReviewFromResponseBody = (responseBody, reviewsTranslation) => {
  *    defaultReviewsJson: any,
  *    personalDataOptions: PersonalDataOptions,
  *    reviewsStartDate: string,
+ *    reviewsHighWaterMark?: import('../typedefs').ReviewsHighWaterMark | null,
  * }} options
  * @returns {Promise<Review[]>}
  */
 module.exports.extractReviews = async ({ page, reviewsCount, request, reviewsStartDate,
-    targetReviewsCount, reviewsSort, reviewsTranslation, defaultReviewsJson, personalDataOptions }) => {
+    targetReviewsCount, reviewsSort, reviewsTranslation, defaultReviewsJson, personalDataOptions, reviewsHighWaterMark }) => {
 
     /** @type {Review[]} */
     let reviews = [];
@@ -191,6 +212,8 @@ module.exports.extractReviews = async ({ page, reviewsCount, request, reviewsSta
     }
 
     const reviewsStartDateAsDate = reviewsStartDate ? new Date(reviewsStartDate) : null;
+    // Only newest sorting guarantees that everything after the known review is known too
+    const knownReviewsMark = reviewsSort === 'newest' ? reviewsHighWaterMark : null;
 
     // If we already have all reviews from the page as default ones, we can finish
     // Just need to sort appropriately manually
@@ -275,6 +298,8 @@ module.exports.extractReviews = async ({ page, reviewsCount, request, reviewsSta
 
         let lastBatchUrlCursor = null;
 
+        let knownReviewReached = false;
+
         while (reviews.length < targetReviewsCount) {
             if (lastBatchUrlCursor) {
                 nextReviewPbAST.setPaginationCursor(lastBatchUrlCursor);
@@ -301,6 +326,16 @@ module.exports.extractReviews = async ({ page, reviewsCount, request, reviewsSta
                 break;
             }
 
+            const knownReviewIndex = knownReviewsMark
+                ? currentReviews.findIndex((review) => isKnownReview(review, knownReviewsMark))
+                : -1;
+            if (knownReviewIndex !== -1) {
+                reviews.push(...currentReviews.slice(0, knownReviewIndex));
+                knownReviewReached = true;
+                log.info(`[PLACE]: Extracting reviews stopping: Reached review scraped in a previous run --- ${page.url()} `);
+                break;
+            }
+
             reviews.push(...currentReviews);
             let stopDateReached = false;
             for (const review of currentReviews) {
@@ -323,7 +358,7 @@ module.exports.extractReviews = async ({ page, reviewsCount, request, reviewsSta
         }
         // NOTE: Sometimes for unknown reason, Google gives less reviews and in different order
         // TODO: Find a cause!!! All requests URLs look the same otherwise
-        if (!reviewsStartDateAsDate && reviews.length < targetReviewsCount) {
+        if (!reviewsStartDateAsDate && !knownReviewReached && reviews.length < targetReviewsCount) {
             // MOTE: We don't want to get into infinite loop or fail the request completely
             if (request.retryCount < 2) {
                 throw `Google served us less reviews than it should (${reviews.length}/${targetReviewsCount}). Retrying the whole page`;
@@ -338,5 +373,6 @@ module.exports.extractReviews = async ({ page, reviewsCount, request, reviewsSta
     reviews = reviews
         .slice(0, targetReviewsCount)
         .filter((review) => !reviewsStartDateAsDate || new Date(review.publishedAtDate) > reviewsStartDateAsDate)
+        .filter((review) => !knownReviewsMark || !isKnownReview(review, knownReviewsMark));
     return removePersonalDataFromReviews(reviews, personalDataOptions);
 };
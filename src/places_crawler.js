@@ -6,7 +6,7 @@ const typedefs = require('./typedefs'); // eslint-disable-line no-unused-vars
 const { enqueueAllPlaceDetails } = require('./enqueue_places');
 const { handlePlaceDetail } = require('./detail_page_handle');
 const {
-    waitAndHandleConsentScreen, waiter, blockRequestsForOptimization, delay,
+    waitAndHandleConsentScreen, waiter, blockRequestsForOptimization, delay, getSearchKey,
 } = require('./utils/misc-utils');
 const { LABELS } = require('./consts');
 
@@ -22,9 +22,21 @@ const { injectJQuery } = Apify.utils.puppeteer;
  */
 const handlePageFunctionExtended = async ({ pageContext, scrapingOptions, helperClasses }) => {
     const { request, page, session, crawler } = pageContext;
-    const { stats, errorSnapshotter, maxCrawledPlacesTracker } = helperClasses;
-
-    const { label, searchString } = /** @type {{ label: string, searchString: string }} */ (request.userData);
+    const {
+        stats, errorSnapshotter, maxCrawledPlacesTracker, placesCache, reviewsHighWaterMarks, placeHistory, cassette,
+        competitorComparison, placesOutput, normalizedDatasets, placeWebhook,
+    } = helperClasses;
+
+    const { label, searchString, areaLabel, competitorsOfPlaceId } = /** @type {{
+        label: string, searchString: string, areaLabel?: string, competitorsOfPlaceId?: string,
+    }} */ (request.userData);
+    // Each area of the batch input and each seed place of the competitor comparison has its own polygon
+    let requestScrapingOptions = scrapingOptions;
+    if (areaLabel) {
+        requestScrapingOptions = { ...scrapingOptions, geolocation: scrapingOptions.areaGeolocations[areaLabel] };
+    } else if (competitorsOfPlaceId) {
+        requestScrapingOptions = { ...scrapingOptions, geolocation: competitorComparison.getSearchGeolocation(competitorsOfPlaceId) };
+    }
 
     // TODO: Figure out how to remove the timeout and still handle consent screen
     // Handle consent screen, this wait is ok because we wait for selector later anyway
@@ -49,7 +61,7 @@ const handlePageFunctionExtended = async ({ pageContext, scrapingOptions, helper
             throw `[${label}]: Got CAPTCHA on page, retrying --- ${searchString || ''} ${request.url}`;
         }
         if (label === LABELS.SEARCH) {
-            if (!maxCrawledPlacesTracker.canEnqueueMore(searchString || request.url)) {
+            if (!maxCrawledPlacesTracker.canEnqueueMore(getSearchKey(searchString, request))) {
                 // No need to log anything here as it was already logged for this search
                 return;
             }
@@ -62,7 +74,7 @@ const handlePageFunctionExtended = async ({ pageContext, scrapingOptions, helper
                     requestQueue: crawler.requestQueue,
                     request,
                     helperClasses,
-                    scrapingOptions,
+                    scrapingOptions: requestScrapingOptions,
                     crawler,
                 }),
             );
@@ -88,11 +100,20 @@ const handlePageFunctionExtended = async ({ pageContext, scrapingOptions, helper
                 searchString,
                 // @ts-ignore
                 session,
-                scrapingOptions,
+                scrapingOptions: requestScrapingOptions,
                 errorSnapshotter,
                 stats,
                 maxCrawledPlacesTracker,
+                placesCache,
+                reviewsHighWaterMarks,
+                placeHistory,
+                competitorComparison,
+                placesOutput,
+                normalizedDatasets,
+                placeWebhook,
+                cassette,
                 crawler,
+                requestQueue: crawler.requestQueue,
             });
         } else {
             // This is developer error, should never happen
@@ -116,7 +137,7 @@ const handlePageFunctionExtended = async ({ pageContext, scrapingOptions, helper
 module.exports.setUpCrawler = ({ crawlerOptions, scrapingOptions, helperClasses }) => {
     const { maxImages, language, allPlacesNoSearchAction } = scrapingOptions;
     const { pageLoadTimeoutSec, ...options } = crawlerOptions;
-    const { stats, errorSnapshotter } = helperClasses;
+    const { stats, errorSnapshotter, placesOutput, cassette } = helperClasses;
     return new Apify.PuppeteerCrawler({
         // We have to strip this otherwise SDK complains
         ...options,
@@ -148,6 +169,10 @@ module.exports.setUpCrawler = ({ crawlerOptions, scrapingOptions, helperClasses
 
             const mapUrl = new URL(request.url);
 
+            if (cassette.isReplaying) {
+                await cassette.setUpReplay(page, request);
+            }
+
             await blockRequestsForOptimization(page, request.userData.label, maxImages, allPlacesNoSearchAction);
 
             if (language) {
@@ -201,7 +226,7 @@ module.exports.setUpCrawler = ({ crawlerOptions, scrapingOptions, helperClasses
             // This function is called when crawling of a request failed too many time
             stats.failed();
             const defaultStore = await Apify.openKeyValueStore();
-            await Apify.pushData({
+            await placesOutput.pushData({
                 '#url': request.url,
                 '#succeeded': false,
                 '#errors': request.errorMessages,
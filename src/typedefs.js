@@ -5,6 +5,16 @@ const ErrorSnapshotter = require('./helper-classes/error-snapshotter');
 const PlacesCache = require('./helper-classes/places_cache');
 const MaxCrawledPlacesTracker = require('./helper-classes/max-crawled-places');
 const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
+const ReviewsHighWaterMarks = require('./helper-classes/reviews-high-water-marks');
+const PlaceHistory = require('./helper-classes/place-history');
+const Cassette = require('./helper-classes/cassette');
+const PlaceProvenance = require('./helper-classes/place-provenance');
+const RankTracker = require('./helper-classes/rank-tracker');
+const SponsoredResults = require('./helper-classes/sponsored-results');
+const CompetitorComparison = require('./helper-classes/competitor-comparison');
+const PlacesOutput = require('./helper-classes/places-output');
+const NormalizedDatasets = require('./helper-classes/normalized-datasets');
+const PlaceWebhook = require('./helper-classes/place-webhook');
 
 /**
  * Options for the scraping process
@@ -14,6 +24,16 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * @property {MaxCrawledPlacesTracker} maxCrawledPlacesTracker
  * @property {PlacesCache} placesCache
  * @property {ExportUrlsDeduper | undefined} exportUrlsDeduper
+ * @property {ReviewsHighWaterMarks} reviewsHighWaterMarks
+ * @property {PlaceHistory} placeHistory
+ * @property {PlaceProvenance} placeProvenance
+ * @property {RankTracker} rankTracker
+ * @property {SponsoredResults} sponsoredResults
+ * @property {CompetitorComparison} competitorComparison
+ * @property {PlacesOutput} placesOutput
+ * @property {NormalizedDatasets} normalizedDatasets
+ * @property {PlaceWebhook} placeWebhook
+ * @property {Cassette} cassette
  */
 
 /**
@@ -28,15 +48,22 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * @property {number} [maxCrawledPlacesPerSearch]
  * @property {number} [maxAutomaticZoomOut]
  * @property {boolean} exportPlaceUrls
+ * @property {boolean} exportListingData
  * @property {boolean} additionalInfo
  * @property {string} reviewsSort
  * @property {string} language
  * @property {Geolocation | undefined} geolocation
+ * @property {Record<string, Geolocation | undefined>} areaGeolocations
+ * @property {Geolocation | undefined} excludeGeolocation
  * @property {string} reviewsTranslation
  * @property {PersonalDataOptions} personalDataOptions
  * @property {boolean} oneReviewPerRow
  * @property {string} allPlacesNoSearchAction
  * @property {string} reviewsStartDate
+ * @property {boolean} adaptiveSplitting
+ * @property {number} maxSplitZoom
+ * @property {FieldsOption} [fields]
+ * @property {PlaceFilters} [placeFilters]
  */
 
 /**
@@ -62,6 +89,19 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * @property {string[]} [searchStringsArray]
  * @property {string} [lat]
  * @property {string} [lng]
+ * @property {number} [radiusKm]
+ * @property {Area[]} [areas]
+ * @property {Geolocation} [excludeGeolocation]
+ * @property {any} [route]
+ * @property {string} [routePolyline]
+ * @property {number} [routeBufferMeters]
+ * @property {string} [rankTrackingPlaceId]
+ * @property {string} [rankTrackingBusinessName]
+ * @property {number} [rankTrackingGridSize]
+ * @property {number} [rankTrackingGridSpacingMeters]
+ * @property {number} [rankTrackingMaxRank]
+ * @property {boolean} [sponsoredResultsReport]
+ * @property {number} [competitorsRadiusKm]
  * @property {string} [county]
  * @property {string} [country]
  * @property {string} [countryCode]
@@ -87,6 +127,7 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * @property {number} [maxReviews]
  * @property {number} [maxImages]
  * @property {boolean} [exportPlaceUrls]
+ * @property {boolean} [exportListingData]
  * @property {boolean} [additionalInfo]
  * @property {number} [maxCrawledPlaces]
  * @property {number} [maxCrawledPlacesPerSearch]
@@ -94,6 +135,14 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * @property {boolean} [cachePlaces]
  * @property {boolean} [useCachedPlaces]
  * @property {string} [cacheKey]
+ * @property {boolean} [monitoringMode]
+ * @property {boolean} [onlyNewReviews]
+ * @property {boolean} [keepPlaceHistory]
+ * @property {boolean} [adaptiveSplitting]
+ * @property {number} [maxSplitZoom]
+ * @property {string} [boundaryProvider]
+ * @property {string} [boundaryFile]
+ * @property {number | string} [osmId]
  * @property {string} [reviewsSort]
  * @property {string} [reviewsTranslation]
  * @property {boolean} scrapeReviewerName
@@ -104,6 +153,42 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * @property {boolean} scrapeResponseFromOwnerText
  * @property {boolean} oneReviewPerRow
  * @property {string} reviewsStartDate
+ * @property {string} [cassetteMode]
+ * @property {string} [cassetteName]
+ * @property {string[]} [outputSinks]
+ * @property {boolean} [includeFoundInSearches]
+ * @property {boolean} [normalizedOutput]
+ * @property {string} [normalizedOutputPrefix]
+ * @property {string} [webhookUrl]
+ * @property {Object.<string, string>} [webhookHeaders]
+ * @property {string} [webhookSecret]
+ * @property {number} [webhookBatchSize]
+ * @property {number} [webhookMaxRetries]
+ * @property {FieldsOption} [fields]
+ * @property {PlaceFilters} [placeFilters]
+ */
+
+/**
+ * Dotted paths of the output fields, e.g. reviews.text or additionalInfo.Accessibility
+ * @typedef FieldsOption
+ * @property {string[]} [include] Only these are kept, all fields if empty
+ * @property {string[]} [exclude] Removed after the include
+ */
+
+/**
+ * Places that don't pass are not pushed, the ones known from the search results are not even opened
+ * @typedef PlaceFilters
+ * @property {number} [minTotalScore]
+ * @property {number} [minReviewsCount]
+ * @property {string[]} [categories] Place has to have one of them (part of the name is enough)
+ * @property {boolean} [skipPermanentlyClosed]
+ * @property {boolean} [skipTemporarilyClosed]
+ * @property {boolean} [onlyOpenNow]
+ */
+
+/**
+ * Parsed include or exclude paths, true is the whole field
+ * @typedef {{ [field: string]: FieldTree | true }} FieldTree
  */
 
 /**
@@ -126,6 +211,36 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * @property {string | null} responseFromOwnerText
  */
 
+/**
+ * Opening hours of one day, times are local in 24h format (HH:MM)
+ * @typedef StructuredOpeningHours
+ * @property {number} day ISO weekday, Monday is 1
+ * @property {string} date YYYY-MM-DD
+ * @property {boolean} isClosed
+ * @property {{ open: string, close: string, overnight: boolean }[]} intervals
+ * @property {boolean} isSpecial Holiday or other special hours
+ * @property {string | null} specialNote
+ */
+
+/**
+ * Values of the tracked fields at the time of scraping
+ * @typedef {{ scrapedAt: string, [field: string]: any }} PlaceHistoryPoint
+ */
+
+/**
+ * @typedef PlaceHistoryRecord
+ * @property {string} placeId
+ * @property {string} title
+ * @property {PlaceHistoryPoint[]} points
+ */
+
+/**
+ * Newest review scraped for a place in the previous runs
+ * @typedef ReviewsHighWaterMark
+ * @property {string | null} reviewId
+ * @property {string} publishedAtDate
+ */
+
 /**
  * @typedef PersonalDataOptions
  * @property {boolean} scrapeReviewerName
@@ -153,6 +268,9 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * outOfPolygonCached: number,
  * places: number,
  * maps: number,
+ * filteredOut: number,
+ * filteredOutInSearch: number,
+ * filteredOutReasons: Object.<string, number>,
  * }} InnerStats
  */
 
@@ -170,10 +288,29 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * totalPushed: number,
  * found: number,
  * totalFound: number,
+ * filteredOut: number,
  * pageNum: number
  * }} PageStats
  */
 
+/**
+ * One searched map cell, lat, lng and zoom are the requested ones (null if not in the URL)
+ * @typedef {{
+ * url: string,
+ * uniqueKey: string,
+ * searchString: string | null,
+ * lat: number | null,
+ * lng: number | null,
+ * zoom: number | null,
+ * finalZoom: number | null,
+ * found: number,
+ * enqueued: number,
+ * capHit: boolean,
+ * autoZoomedOut: boolean,
+ * splitFromUrl: string | null,
+ * }} SearchCoverage
+ */
+
 /**
  * @typedef {{
  * noOutcomeLoaded?: boolean,
@@ -196,10 +333,19 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
 /**
  * @typedef {{
  * placeId: string,
+ * title: string | null,
  * coords: Coordinates,
  * addressParsed: AddressParsed | undefined,
  * isAdvertisement: boolean,
+ * website: string | null,
  * categories: string[],
+ * address: string | null,
+ * phone: string | null,
+ * totalScore: number | null,
+ * reviewsCount: number | null,
+ * price: string | null,
+ * permanentlyClosed: boolean,
+ * openingStatus: string | null,
  * }} PlacePaginationData
  */
 
@@ -208,7 +354,9 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * rank: number,
  * searchPageUrl: string,
  * addressParsed: AddressParsed | undefined,
- * isAdvertisement: boolean
+ * isAdvertisement: boolean,
+ * areaLabel?: string,
+ * searchKey?: string,
  * }} PlaceUserData
  */
 
@@ -228,26 +376,109 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * url: string,
  * searchPageUrl: string,
  * coordinates: Coordinates,
+ * reason: string,
  * }} PlaceOutOfPolygon
  */
 
 /**
+ * Position of the search in the rank tracking grid, row 0 is the north and column 0 the west
+ * @typedef {{
+ * row: number,
+ * column: number,
+ * lat: number,
+ * lng: number,
+ * }} RankTrackingPoint
+ */
+
+/**
+ * Rank of the tracked place in one search of the grid, null if it was not in the first maxRank results
+ * @typedef {{
+ * searchString: string,
+ * row: number,
+ * column: number,
+ * lat: number,
+ * lng: number,
+ * rank: number | null,
+ * resultsChecked: number,
+ * searchPageUrl: string,
+ * uniqueKey: string,
+ * }} RankTrackingResult
+ */
+
+/**
+ * Fields of our own place (seed) or its competitor used in the competitor comparison
+ * @typedef {{
+ * placeId: string,
+ * title: string,
+ * url: string,
+ * categories: string[],
+ * location: { lat: number, lng: number } | null,
+ * totalScore: number | null,
+ * reviewsCount: number | null,
+ * price: string | null,
+ * }} ComparedPlace
+ */
+
+/**
+ * One advertiser in one search map cell, appearances has an item for each time the ad was shown while scrolling
+ * @typedef {{
+ * searchString: string | null,
+ * areaLabel: string | undefined,
+ * searchPageUrl: string,
+ * lat: number | null,
+ * lng: number | null,
+ * zoom: number | null,
+ * placeId: string,
+ * title: string | null,
+ * categories: string[] | null,
+ * appearances: { pageNum: number, adSlot: number, rank: number }[],
+ * appearancesCount: number,
+ * bestAdSlot: number,
+ * bestRank: number,
+ * }} SponsoredResult
+ */
+
+/**
+ * One of the searches that found the place
+ * @typedef {{
+ * searchString: string,
+ * rank: number,
+ * searchPageUrl: string,
+ * areaLabel: string | undefined,
+ * }} PlaceFoundInSearch
+ */
+
+/**
+ * Fingerprint fields are only present in monitoring mode
  * @typedef {{
  * keywords: string[],
  * location: Coordinates,
+ * fingerprint?: string,
+ * snapshot?: Record<string, any>,
+ * lastSeenRunId?: string,
+ * disappeared?: boolean,
  * }} CachedPlace
  */
 
+/**
+ * @typedef {{
+ * changeType: string,
+ * changes: Record<string, { previous: any, current: any }> | null,
+ * }} PlaceChange
+ */
+
 /**
  * geojson parameter from nomatim
  * coordinates have different shape depending on type
  * geometry is only available in few shapes
  * radiusKm is purely our addition for a Point type (circle)
+ * bufferKm is purely our addition for a LineString type (route corridor)
  * @typedef {{
  *   type: string,
  *   coordinates: any,
  *   geometry: any,
  *   radiusKm?: number,
+ *   bufferKm?: number,
  * }} Geolocation
  */
 
@@ -260,9 +491,91 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * geojson: Geolocation | undefined,
  * boundingbox: string[] | undefined,
  * display_name: string | undefined,
+ * lat?: string,
+ * lon?: string,
+ * type?: string,
+ * osm_type?: string,
+ * osm_id?: number | string,
+ * population?: number,
+ * country_code?: string,
  * }} GeolocationFull
  */
 
+/**
+ * One area of the batch input, defined by the same fields as the search area of the whole run
+ * @typedef {{
+ * label: string,
+ * country?: string,
+ * countryCode?: string,
+ * state?: string,
+ * county?: string,
+ * city?: string,
+ * postalCode?: string,
+ * osmId?: number | string,
+ * lat?: string,
+ * lng?: string,
+ * radiusKm?: number,
+ * route?: any,
+ * routePolyline?: string,
+ * routeBufferMeters?: number,
+ * customGeolocation?: Geolocation,
+ * zoom?: number,
+ * }} Area
+ */
+
+/**
+ * One of the locations matching the geolocation input, saved to GEO-CANDIDATES
+ * @typedef {{
+ * osmId: number | string | null,
+ * displayName: string | null,
+ * type: string | null,
+ * population: number | null,
+ * countryCode: string | null,
+ * lat: number | null,
+ * lng: number | null,
+ * }} GeolocationCandidate
+ */
+
+/**
+ * Source of the admin boundaries for geolocation (Nominatim or a local file)
+ * @typedef {{
+ * name: string,
+ * search: (options: GeolocationOptions, limit: number) => Promise<GeolocationFull[]>,
+ * }} BoundaryProvider
+ */
+
+/**
+ * File the places are written to next to the dataset, saved to the key-value store at the end of the run
+ * @typedef {{
+ * type: string,
+ * filePath: string,
+ * contentType: string,
+ * write: (items: any[]) => void,
+ * getContent: () => Buffer,
+ * close: () => void,
+ * }} OutputSink
+ */
+
+/**
+ * Place without the nested data and the flat rows of the related datasets
+ * @typedef {{
+ * place: Record<string, any>,
+ * reviews: Array<{ placeId: string } & Review>,
+ * images: Array<{ placeId: string, position: number, imageUrl: string }>,
+ * popularTimes: Array<{ placeId: string, day: string, hour: number, occupancyPercent: number }>,
+ * additionalInfo: Array<{ placeId: string, section: string, option: string, value: any }>,
+ * }} NormalizedPlaceRecords
+ */
+
+/**
+ * Places that were not delivered to the webhook after all retries
+ * @typedef {{
+ * failedAt: string,
+ * error: string,
+ * places: Record<string, any>[],
+ * }} WebhookDeadLetter
+ */
+
 /**
  *  @typedef {{
  * enqueuedTotal: number,
@@ -281,6 +594,22 @@ const ExportUrlsDeduper = require('./helper-classes/export-urls-deduper');
  * }} PopularTimesOutput
  */
 
+/**
+ * All XHR responses of one search request in the order they came
+ * @typedef {{
+ * requestUrl: string,
+ * responses: Array<{ url: string, status: number, body: string }>,
+ * }} CassetteSearchRecord
+ */
+
+/**
+ * Rendered place page and the final URL (it contains coordinates)
+ * @typedef {{
+ * url: string,
+ * html: string,
+ * }} CassettePlaceRecord
+ */
+
 /**
  *  @typedef {{
  * zoom: number | string,
@@ -0,0 +1,148 @@
+const Apify = require('apify');
+const fs = require('fs');
+const turf = require('@turf/turf');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+const { BOUNDARY_PROVIDERS } = require('../consts');
+
+const { log } = Apify.utils;
+
+// From the most specific, the most specific filled option decides which type of boundary we look for
+const BOUNDARY_TYPES = ['postalCode', 'city', 'county', 'state', 'country'];
+
+/**
+ * Lowercase without accents so "Zürich" matches "Zurich"
+ * @param {any} value
+ * @returns {string}
+ */
+const normalizeName = (value) => {
+    return `${value || ''}`.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+};
+
+/**
+ * Live search on nominatim.openstreetmap.org
+ * @returns {typedefs.BoundaryProvider}
+ */
+const createNominatimProvider = () => ({
+    name: BOUNDARY_PROVIDERS.NOMINATIM,
+    search: async (options, limit) => {
+        const { city, state, country, postalCode, county } = options;
+        const cityString = (city || '').trim().replace(/\s+/g, '+');
+        const stateString = (state || '').trim().replace(/\s+/g, '+');
+        const countyString = (county || '').trim().replace(/\s+/g, '+');
+        const countryString = (country || '').trim().replace(/\s+/g, '+');
+        const postalCodeString = (postalCode || '').trim().replace(/\s+/g, '+');
+
+        const res = await Apify.utils.requestAsBrowser({
+            url: encodeURI(`https://nominatim.openstreetmap.org/search?country=${countryString}&state=${stateString}&county=${countyString}&city=${cityString}&postalcode=${postalCodeString}&format=json&polygon_geojson=1&limit=${limit}&polygon_threshold=0.005&addressdetails=1&extratags=1`),
+            headers: { referer: 'http://google.com' },
+        });
+        // @ts-ignore
+        const body = JSON.parse(res.body);
+        // Population and country are nested in the details, we need them to choose between the matches
+        return body.map((/** @type {any} */ { address, extratags, ...geolocationFull }) => ({
+            ...geolocationFull,
+            population: Number(extratags?.population) || undefined,
+            country_code: address?.country_code,
+        }));
+    },
+});
+
+/**
+ * Converts a boundary feature to the same shape Nominatim returns
+ * @param {any} feature
+ * @returns {typedefs.GeolocationFull}
+ */
+const featureToGeolocation = (feature) => {
+    const { properties = {}, geometry } = feature;
+    const [west, south, east, north] = turf.bbox(feature);
+    const [lon, lat] = turf.getCoord(turf.centroid(feature));
+    return {
+        geojson: geometry,
+        boundingbox: [south, north, west, east].map(String),
+        display_name: [properties.name, properties.county, properties.state, properties.country]
+            .filter((name, index, names) => name && names.indexOf(name) === index)
+            .join(', '),
+        lat: String(lat),
+        lon: String(lon),
+        type: properties.type,
+        osm_id: properties.osmId,
+        population: properties.population,
+        country_code: properties.countryCode,
+    };
+};
+
+/**
+ * Offline search in a local GeoJSON FeatureCollection of boundaries.
+ * Each feature needs properties "name" and "type" (country, state, county, city or postalCode).
+ * Optional "country", "countryCode", "state" and "county" properties are matched against the broader input fields.
+ * @param {string} boundaryFile
+ * @returns {typedefs.BoundaryProvider}
+ */
+const createGeoJsonFileProvider = (boundaryFile) => {
+    /** @type {any[] | null} */
+    let features = null;
+
+    const loadFeatures = () => {
+        if (!features) {
+            const featureCollection = JSON.parse(fs.readFileSync(boundaryFile, 'utf8'));
+            features = featureCollection.features || [];
+            log.info(`[Geolocation]: Loaded ${features?.length} boundaries from ${boundaryFile}`);
+        }
+        return /** @type {any[]} */ (features);
+    };
+
+    return {
+        name: BOUNDARY_PROVIDERS.GEOJSON_FILE,
+        search: async (options, limit) => {
+            /** @type {Record<string, string | undefined>} */
+            const query = { ...options };
+            const type = BOUNDARY_TYPES.find((boundaryType) => query[boundaryType]);
+            if (!type) {
+                return [];
+            }
+            const matches = loadFeatures().filter(({ properties = {} }) => {
+                if (properties.type !== type || normalizeName(properties.name) !== normalizeName(query[type])) {
+                    return false;
+                }
+                // Broader fields must match if both input and the boundary have them
+                for (const parentType of BOUNDARY_TYPES.slice(BOUNDARY_TYPES.indexOf(type) + 1)) {
+                    const parentName = normalizeName(query[parentType]);
+                    if (!parentName) {
+                        continue;
+                    }
+                    const boundaryNames = parentType === 'country'
+                        ? [properties.country, properties.countryCode]
+                        : [properties[parentType]];
+                    const knownNames = boundaryNames.filter(Boolean).map(normalizeName);
+                    if (knownNames.length > 0 && !knownNames.includes(parentName)) {
+                        return false;
+                    }
+                }
+                return true;
+            });
+            return matches.slice(0, limit).map(featureToGeolocation);
+        },
+    };
+};
+
+/**
+ * @param {{
+ *  boundaryProvider?: string,
+ *  boundaryFile?: string,
+ * }} options
+ * @returns {typedefs.BoundaryProvider}
+ */
+module.exports.createBoundaryProvider = ({ boundaryProvider = BOUNDARY_PROVIDERS.NOMINATIM, boundaryFile } = {}) => {
+    if (boundaryProvider === BOUNDARY_PROVIDERS.GEOJSON_FILE) {
+        if (!boundaryFile) {
+            throw new Error(`WRONG INPUT: boundaryFile is required for boundaryProvider "${boundaryProvider}"`);
+        }
+        return createGeoJsonFileProvider(boundaryFile);
+    }
+    if (boundaryProvider === BOUNDARY_PROVIDERS.NOMINATIM) {
+        return createNominatimProvider();
+    }
+    throw new Error(`WRONG INPUT: Unknown boundaryProvider "${boundaryProvider}", `
+        + `use one of ${Object.values(BOUNDARY_PROVIDERS).join(', ')}`);
+};
@@ -0,0 +1,105 @@
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+
+/**
+ * Dotted paths to a tree, e.g. ['reviews.text', 'title'] => { reviews: { text: true }, title: true }
+ * A whole field wins over its subfields
+ * @param {string[]} paths
+ * @returns {typedefs.FieldTree}
+ */
+const getFieldTree = (paths) => {
+    /** @type {typedefs.FieldTree} */
+    const tree = {};
+    for (const path of paths) {
+        const keys = path.split('.');
+        let node = tree;
+        for (const [i, key] of keys.entries()) {
+            if (node[key] === true) {
+                break;
+            }
+            if (i === keys.length - 1) {
+                node[key] = true;
+            } else {
+                node[key] = node[key] || {};
+                node = /** @type {typedefs.FieldTree} */ (node[key]);
+            }
+        }
+    }
+    return tree;
+};
+
+/**
+ * Arrays (reviews, orderBy...) are projected item by item
+ * @param {any} value
+ * @param {typedefs.FieldTree | true} tree
+ * @returns {any}
+ */
+const pickFields = (value, tree) => {
+    if (tree === true) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item) => pickFields(item, tree));
+    }
+    if (!value || typeof value !== 'object') {
+        return undefined;
+    }
+    /** @type {Record<string, any>} */
+    const picked = {};
+    for (const [key, subtree] of Object.entries(tree)) {
+        if (key in value) {
+            picked[key] = pickFields(value[key], subtree);
+        }
+    }
+    return picked;
+};
+
+/**
+ * @param {any} value
+ * @param {typedefs.FieldTree} tree
+ * @returns {any}
+ */
+const omitFields = (value, tree) => {
+    if (Array.isArray(value)) {
+        return value.map((item) => omitFields(item, tree));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    const rest = { ...value };
+    for (const [key, subtree] of Object.entries(tree)) {
+        if (subtree === true) {
+            delete rest[key];
+        } else if (key in rest) {
+            rest[key] = omitFields(rest[key], subtree);
+        }
+    }
+    return rest;
+};
+
+/**
+ * Keeps the included paths (all if there are none) and then removes the excluded ones
+ * @param {Record<string, any>} item
+ * @param {typedefs.FieldsOption | undefined} fields
+ * @returns {Record<string, any>}
+ */
+module.exports.projectFields = (item, fields) => {
+    const { include = [], exclude = [] } = fields || {};
+    const included = include.length > 0 ? pickFields(item, getFieldTree(include)) : item;
+    return exclude.length > 0 ? omitFields(included, getFieldTree(exclude)) : included;
+};
+
+/**
+ * Whether anything of the top-level field gets to the output, otherwise we don't need to scrape it
+ * @param {typedefs.FieldsOption | undefined} fields
+ * @param {string[]} topLevelFields Fields that come from the same extractor
+ * @returns {boolean}
+ */
+module.exports.isAnyFieldWanted = (fields, topLevelFields) => {
+    const { include = [], exclude = [] } = fields || {};
+    return topLevelFields.some((field) => {
+        if (exclude.includes(field)) {
+            return false;
+        }
+        return include.length === 0 || include.some((path) => path === field || path.startsWith(`${field}.`));
+    });
+};
@@ -1,5 +1,5 @@
 const Apify = require('apify');
-const { REGEXES, LABELS } = require('../consts');
+const { REGEXES, LABELS, CASSETTE_MODES, BOUNDARY_PROVIDERS, OUTPUT_SINKS } = require('../consts');
 
 const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
 const { normalizePlaceUrl } = require('./misc-utils');
@@ -87,6 +87,10 @@ module.exports.validateInput = (input) => {
         log.warning(`WRONG INPUT: If reviewsStartDate is present, reviewsSort must be newest. Setting it up.`);
     }
 
+    if (input.onlyNewReviews && input.reviewsSort && input.reviewsSort !== 'newest') {
+        log.warning(`WRONG INPUT: onlyNewReviews works only when reviewsSort is newest. All reviews will be scraped.`);
+    }
+
     if (!input.searchStringsArray && !input.startUrls && !input.allPlacesNoSearchAction) {
         throw 'You have to provide startUrls or searchStringsArray in input!';
     }
@@ -95,9 +99,148 @@ module.exports.validateInput = (input) => {
         throw 'searchStringsArray has to be an array!';
     }
 
+    if (input.cassetteMode && !Object.values(CASSETTE_MODES).includes(input.cassetteMode)) {
+        throw `WRONG INPUT: cassetteMode has to be one of ${Object.values(CASSETTE_MODES).join(', ')}!`;
+    }
+
+    if (input.cassetteMode && !input.cassetteName) {
+        throw 'WRONG INPUT: You have to provide cassetteName to record or replay a cassette!';
+    }
+
+    if (input.radiusKm && (!input.lat || !input.lng)) {
+        throw 'WRONG INPUT: radiusKm has to be used together with lat and lng!';
+    }
+
+    if (input.route && input.routePolyline) {
+        throw 'WRONG INPUT: Use only one of route or routePolyline!';
+    }
+
+    if (input.rankTrackingPlaceId || input.rankTrackingBusinessName) {
+        if (!input.lat || !input.lng) {
+            throw 'WRONG INPUT: Rank tracking needs lat and lng of the center of the grid!';
+        }
+        if (!input.searchStringsArray?.length) {
+            throw 'WRONG INPUT: Rank tracking needs searchStringsArray with the search terms to track!';
+        }
+        if (input.rankTrackingPlaceId && input.rankTrackingBusinessName) {
+            log.warning('WRONG INPUT: Both rankTrackingPlaceId and rankTrackingBusinessName are provided, only the place ID is used.');
+        }
+    }
+
+    if (input.exportListingData) {
+        if (input.exportPlaceUrls) {
+            log.warning('WRONG INPUT: Both exportPlaceUrls and exportListingData are checked, the listing data are pushed.');
+        }
+        if (input.maxReviews || input.maxImages || input.includeHistogram || input.includeOpeningHours || input.additionalInfo) {
+            log.warning('WRONG INPUT: exportListingData doesn\'t open the place pages so reviews, images, popular times, '
+                + 'opening hours and additional info are not scraped.');
+        }
+    }
+
+    if (input.normalizedOutput && input.oneReviewPerRow) {
+        log.warning('WRONG INPUT: Both normalizedOutput and oneReviewPerRow are checked, reviews are pushed to the "reviews" dataset.');
+    }
+
+    // Names of the datasets can only have letters, digits and hyphens
+    if (input.normalizedOutputPrefix && !/^[a-zA-Z0-9-]+$/.test(input.normalizedOutputPrefix)) {
+        throw 'WRONG INPUT: normalizedOutputPrefix can only contain letters, digits and hyphens!';
+    }
+
+    if (input.webhookUrl && !/^https?:\/\//.test(input.webhookUrl)) {
+        throw 'WRONG INPUT: webhookUrl has to be a http:// or https:// URL!';
+    }
+
+    if (input.webhookHeaders && (typeof input.webhookHeaders !== 'object' || Array.isArray(input.webhookHeaders))) {
+        throw 'WRONG INPUT: webhookHeaders has to be an object of header names and values!';
+    }
+
+    if (!input.webhookUrl && (input.webhookHeaders || input.webhookSecret)) {
+        log.warning('WRONG INPUT: webhookHeaders and webhookSecret are ignored without webhookUrl.');
+    }
+
+    if (input.fields) {
+        const { include, exclude } = input.fields;
+        for (const [name, paths] of Object.entries({ include, exclude })) {
+            if (paths !== undefined && (!Array.isArray(paths) || paths.some((path) => typeof path !== 'string' || !path))) {
+                throw `WRONG INPUT: fields.${name} has to be an array of field paths like "title" or "reviews.text"!`;
+            }
+        }
+    }
+
+    if (input.placeFilters) {
+        const { minTotalScore, minReviewsCount, categories } = input.placeFilters;
+        if (minTotalScore !== undefined && (typeof minTotalScore !== 'number' || minTotalScore < 0 || minTotalScore > 5)) {
+            throw 'WRONG INPUT: placeFilters.minTotalScore has to be a number from 0 to 5!';
+        }
+        if (minReviewsCount !== undefined && (!Number.isInteger(minReviewsCount) || minReviewsCount < 0)) {
+            throw 'WRONG INPUT: placeFilters.minReviewsCount has to be a positive integer!';
+        }
+        if (categories !== undefined && (!Array.isArray(categories) || categories.some((category) => typeof category !== 'string'))) {
+            throw 'WRONG INPUT: placeFilters.categories has to be an array of category names!';
+        }
+        if (input.exportPlaceUrls && !input.exportListingData) {
+            log.warning('WRONG INPUT: exportPlaceUrls pushes the URLs from the search results, '
+                + 'placeFilters are only checked on the data Google shows there.');
+        }
+    }
+
+    if (input.competitorsRadiusKm) {
+        const hasSeedPlaces = input.startUrls?.length
+            || input.searchStringsArray?.some((searchString) => `${searchString}`.includes('place_id:'));
+        if (!hasSeedPlaces) {
+            throw 'WRONG INPUT: competitorsRadiusKm needs your places as place_id: search terms or place URLs in startUrls!';
+        }
+    }
+
+    if (input.areas) {
+        if (!Array.isArray(input.areas)) {
+            throw 'WRONG INPUT: areas has to be an array!';
+        }
+        const geolocationFields = ['lat', 'lng', 'radiusKm', 'route', 'routePolyline', 'country', 'countryCode', 'state', 'county', 'city', 'postalCode', 'customGeolocation', 'osmId'];
+        const labels = new Set();
+        for (const area of input.areas) {
+            if (!area?.label || typeof area.label !== 'string') {
+                throw 'WRONG INPUT: Each of the areas has to have a label!';
+            }
+            if (labels.has(area.label)) {
+                throw `WRONG INPUT: Label "${area.label}" is used for more areas, labels have to be unique!`;
+            }
+            labels.add(area.label);
+            // @ts-ignore
+            if (!geolocationFields.some((field) => area[field])) {
+                throw `WRONG INPUT: Area "${area.label}" has to define where to search, e.g. with city or customGeolocation!`;
+            }
+            if (area.radiusKm && (!area.lat || !area.lng)) {
+                throw `WRONG INPUT: radiusKm of area "${area.label}" has to be used together with lat and lng!`;
+            }
+        }
+        // @ts-ignore
+        if (input.areas.length > 0 && geolocationFields.some((field) => input[field])) {
+            log.warning('WRONG INPUT: Geolocation fields outside of areas are ignored when areas are provided.');
+        }
+    }
+
+    if (input.boundaryProvider && !Object.values(BOUNDARY_PROVIDERS).includes(input.boundaryProvider)) {
+        throw `WRONG INPUT: boundaryProvider has to be one of ${Object.values(BOUNDARY_PROVIDERS).join(', ')}!`;
+    }
+
+    if (input.boundaryProvider === BOUNDARY_PROVIDERS.GEOJSON_FILE && !input.boundaryFile) {
+        throw 'WRONG INPUT: You have to provide boundaryFile to use the geojsonFile boundaryProvider!';
+    }
+
+    if (input.outputSinks) {
+        if (!Array.isArray(input.outputSinks) || input.outputSinks.length === 0) {
+            throw 'WRONG INPUT: outputSinks has to be a non-empty array!';
+        }
+        const unknownSinks = input.outputSinks.filter((sink) => !Object.values(OUTPUT_SINKS).includes(sink));
+        if (unknownSinks.length > 0) {
+            throw `WRONG INPUT: Unknown outputSinks ${unknownSinks.join(', ')}, use ${Object.values(OUTPUT_SINKS).join(', ')}!`;
+        }
+    }
+
     const { proxyConfig } = input;
-    // Proxy is mandatory only on Apify
-    if (Apify.isAtHome()) {
+    // Proxy is mandatory only on Apify (replay doesn't go to the network at all)
+    if (Apify.isAtHome() && input.cassetteMode !== CASSETTE_MODES.REPLAY) {
         // @ts-ignore
         if (!proxyConfig || (!proxyConfig.useApifyProxy && !proxyConfig.proxyUrls?.length)) {
            throw 'You have to use Apify proxy or custom proxies when running on Apify platform!';
@@ -118,6 +261,18 @@ module.exports.adjustInput = (input) => {
             + 'interaction with a map. We are reducing maxConcurrency to 20 to make it smoother.');
         input.maxConcurrency = 20;
     }
+
+    // Rank tracking searches exactly from the grid points
+    if ((input.rankTrackingPlaceId || input.rankTrackingBusinessName) && input.adaptiveSplitting) {
+        log.warning('Rank tracking searches only from the grid points. Turning off adaptiveSplitting.');
+        input.adaptiveSplitting = false;
+    }
+
+    // Open status is parsed with the opening hours
+    if (input.placeFilters?.onlyOpenNow && !input.includeOpeningHours) {
+        log.warning('placeFilters.onlyOpenNow needs the opening hours. Turning on includeOpeningHours.');
+        input.includeOpeningHours = true;
+    }
 }
 
 /**
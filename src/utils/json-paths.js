@@ -0,0 +1,205 @@
+const Apify = require('apify');
+
+const { log } = Apify.utils;
+
+// Bump this whenever the paths are updated after Google changes the layout
+// Examples of the layout can be found in the /samples folder
+const JSON_PATHS_VERSION = '2022-11-10';
+
+/**
+ * All positions of the fields we read from Google's JSON arrays
+ * Each field has a list of paths that are tried in order, the first one is the primary
+ * Fallbacks are used when the primary path is empty or has a wrong type
+ */
+const JSON_PATHS = {
+    // Place data from APP_INITIALIZATION_STATE, search responses use the same layout
+    place: {
+        // [88, 3] is the title next to the place type, [183, 0, 0, 1, 0, 0] the first line of the postal address
+        title: { paths: [[11], [88, 3], [183, 0, 0, 1, 0, 0]], type: 'string' },
+        placeId: { paths: [[78]], type: 'string' },
+        cid: { paths: [[10]], type: 'string' },
+        // [208] is a copy of the coordinates that is present even when [9] is empty
+        coords: { paths: [[9], [208, 0]], type: 'array' },
+        website: { paths: [[7, 0]], type: 'string' },
+        categories: { paths: [[13]], type: 'array' },
+        addressDetail: { paths: [[183, 1]], type: 'array' },
+        totalScore: { paths: [[4, 7]], type: 'number' },
+        reviewsCount: { paths: [[4, 8]], type: 'number' },
+        price: { paths: [[4, 2]], type: 'string' },
+        phone: { paths: [[178, 0, 0]], type: 'string' },
+        // [183, 0, 2] is the full address without the place name
+        address: { paths: [[39], [183, 0, 2, 1, 0, 0]], type: 'string' },
+        reviewsDistribution: { paths: [[52, 3]], type: 'array' },
+        defaultReviews: { paths: [[52, 0]], type: 'array' },
+        closedStatus: { paths: [[88, 0]], type: 'string' },
+        closedText: { paths: [[203, 1, 4, 0]], type: 'string' },
+        openingHours: { paths: [[34, 1]], type: 'array' },
+        timezone: { paths: [[30]], type: 'string' },
+        imagesCount: { paths: [[37, 1]], type: 'number' },
+        orderByWidgets: { paths: [[75, 0]], type: 'array' },
+        popularTimes: { paths: [[84]], type: 'array' },
+        gasPrices: { paths: [[86, 0]], type: 'array' },
+        additionalInfo: { paths: [[100, 1]], type: 'array' },
+        hotelAmenities: { paths: [[64, 2]], type: 'array' },
+    },
+    // Items of place.additionalInfo, e.g. "Accessibility" with its options
+    additionalInfoSection: {
+        name: { paths: [[1]], type: 'string' },
+        options: { paths: [[2]], type: 'array' },
+    },
+    // Items of additionalInfoSection.options
+    additionalInfoOption: {
+        id: { paths: [[0]], type: 'string' },
+        name: { paths: [[1]], type: 'string' },
+        // 1 if the place has it, 0 if it doesn't
+        isAvailable: { paths: [[2, 2, 0]], type: 'number' },
+        acceptedCards: { paths: [[2, 4, 1, 0, 0]], type: 'array' },
+        // Wifi options are listed from [2, 3] on
+        details: { paths: [[2]], type: 'array' },
+    },
+    // Wifi items of additionalInfoOption.details
+    additionalInfoWifiOption: {
+        name: { paths: [[2]], type: 'string' },
+    },
+    // Items of place.hotelAmenities
+    hotelAmenity: {
+        name: { paths: [[2]], type: 'string' },
+        isAvailable: { paths: [[3]], type: 'number' },
+    },
+    // Items of place.popularTimes
+    popularTimes: {
+        histogram: { paths: [[0]], type: 'array' },
+        liveText: { paths: [[6]], type: 'string' },
+        livePercent: { paths: [[7, 1]], type: 'number' },
+    },
+    // Items of place.openingHours, one for each of the upcoming 7 days
+    openingHoursDay: {
+        date: { paths: [[4]], type: 'string' },
+        // [[openHour, openMinute, closeHour, closeMinute], ...], empty when closed
+        intervals: { paths: [[6]], type: 'array' },
+        // Only filled for holidays and other days with special hours
+        specialNote: { paths: [[2]], type: 'any' },
+    },
+    // Items of place.gasPrices
+    gasPrice: {
+        priceTag: { paths: [[0]], type: 'string' },
+        updatedAt: { paths: [[2]], type: 'number' },
+        unit: { paths: [[3]], type: 'string' },
+        currency: { paths: [[5]], type: 'string' },
+        price: { paths: [[6]], type: 'number' },
+        gasType: { paths: [[7]], type: 'string' },
+    },
+    // Search XHR, the organic results are found recursively
+    searchResponse: {
+        previewPlace: { paths: [[6]], type: 'array' },
+        ads: { paths: [[2, 1, 0]], type: 'array' },
+        adPlace: { paths: [[15]], type: 'array' },
+    },
+    // Reviews XHR
+    reviewsResponse: {
+        reviews: { paths: [[2]], type: 'array' },
+        nextBatchCursor: { paths: [[2, 9, 61]], type: 'string' },
+    },
+    // Items of reviewsResponse.reviews and place.defaultReviews
+    review: {
+        name: { paths: [[0, 1]], type: 'string' },
+        text: { paths: [[3]], type: 'string' },
+        publishAt: { paths: [[1]], type: 'string' },
+        publishedAtDate: { paths: [[27]], type: 'number' },
+        likesCount: { paths: [[16]], type: 'number' },
+        reviewId: { paths: [[10]], type: 'string' },
+        reviewUrl: { paths: [[18]], type: 'string' },
+        reviewerId: { paths: [[6]], type: 'string' },
+        reviewerUrl: { paths: [[0, 0]], type: 'string' },
+        reviewerNumberOfReviews: { paths: [[12, 1, 1]], type: 'number' },
+        localGuideBadge: { paths: [[12, 1, 0]], type: 'array' },
+        stars: { paths: [[4]], type: 'number' },
+        rating: { paths: [[25, 1]], type: 'number' },
+        responseFromOwnerDate: { paths: [[9, 3]], type: 'number' },
+        responseFromOwnerText: { paths: [[9, 1]], type: 'string' },
+    },
+};
+
+/**
+ * How many times each path matched, saved at the end of the run for diagnostics
+ * @type {Object.<string, Object.<string, number>>}
+ */
+const matchedPaths = {};
+/** @type {Set<string>} */
+const loggedFallbacks = new Set();
+
+/**
+ * @param {any} json
+ * @param {number[]} path
+ */
+const getByPath = (json, path) => {
+    let value = json;
+    for (const index of path) {
+        if (!Array.isArray(value)) {
+            return undefined;
+        }
+        value = value[index];
+    }
+    return value;
+};
+
+/**
+ * @param {any} value
+ * @param {string} type
+ */
+const hasType = (value, type) => {
+    if (value === null || value === undefined) {
+        return false;
+    }
+    if (type === 'any') {
+        return true;
+    }
+    return type === 'array' ? Array.isArray(value) : typeof value === type;
+};
+
+/**
+ * Reads a field from Google's positional JSON arrays using the paths above
+ * Returns undefined if none of the paths contain the value with correct type
+ * @param {any} json
+ * @param {keyof typeof JSON_PATHS} group
+ * @param {string} field
+ * @returns {any}
+ */
+module.exports.getJsonField = (json, group, field) => {
+    /** @type {{ paths: number[][], type: string } | undefined} */
+    const fieldPaths = /** @type {any} */ (JSON_PATHS[group])[field];
+    if (!fieldPaths) {
+        // This is developer error, should never happen
+        throw new Error(`[JSON PATHS]: Unknown field "${group}.${field}"`);
+    }
+    if (!json) {
+        return undefined;
+    }
+    const fieldKey = `${group}.${field}`;
+    for (let i = 0; i < fieldPaths.paths.length; i++) {
+        const path = fieldPaths.paths[i];
+        const value = getByPath(json, path);
+        if (!hasType(value, fieldPaths.type)) {
+            continue;
+        }
+        const pathKey = `[${path.join(',')}]`;
+        matchedPaths[fieldKey] = matchedPaths[fieldKey] || {};
+        matchedPaths[fieldKey][pathKey] = (matchedPaths[fieldKey][pathKey] || 0) + 1;
+        if (i > 0 && !loggedFallbacks.has(`${fieldKey}${pathKey}`)) {
+            loggedFallbacks.add(`${fieldKey}${pathKey}`);
+            log.warning(`[JSON PATHS]: ${fieldKey} was found on fallback path ${pathKey} instead of `
+                + `[${fieldPaths.paths[0].join(',')}]. Google might have changed the layout (paths version ${JSON_PATHS_VERSION}).`);
+        }
+        return value;
+    }
+    return undefined;
+};
+
+/**
+ * Summary of which paths matched in this run
+ */
+module.exports.getJsonPathsReport = () => {
+    return { version: JSON_PATHS_VERSION, matchedPaths };
+};
+
+module.exports.JSON_PATHS_VERSION = JSON_PATHS_VERSION;
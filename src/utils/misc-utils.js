@@ -269,6 +269,26 @@ module.exports.parseZoomFromUrl = (url) => {
     return zoomMatch ? Number(zoomMatch[1]) : null;
 };
 
+/**
+ * @param {string} url
+ * @returns {{ lat: number, lng: number, zoom: number } | null}
+ */
+module.exports.parseMapViewportFromUrl = (url) => {
+    const viewportMatch = url.match(/@([0-9.-]+),([0-9.-]+),([0-9.]+)z/);
+    if (!viewportMatch) {
+        return null;
+    }
+    return { lat: Number(viewportMatch[1]), lng: Number(viewportMatch[2]), zoom: Number(viewportMatch[3]) };
+};
+
+/**
+ * @param {string} url
+ * @param {{ lat: number, lng: number, zoom: number }} viewport
+ */
+module.exports.replaceMapViewportInUrl = (url, { lat, lng, zoom }) => {
+    return url.replace(/@[0-9.-]+,[0-9.-]+,[0-9.]+z/, `@${lat},${lng},${zoom}z`);
+};
+
 /**
  * Waits until a predicate (funcion that returns bool) returns true
  *
@@ -532,6 +552,30 @@ module.exports.blockRequestsForOptimization = async (page, label, maxImages, all
     }
 }
 
+/**
+ * Named datasets are not deleted with the run, the run ID keeps the runs from writing to the same one
+ * @param {string} name
+ * @returns {string}
+ */
+module.exports.getRunDatasetName = (name) => {
+    const { actorRunId } = Apify.getEnv();
+    return actorRunId ? `${actorRunId}-${name}` : name;
+};
+
+/**
+ * Key of the search for maxCrawledPlacesPerSearch, each area of the batch input has its own limit
+ * @param {string} searchString
+ * @param {Apify.Request} request
+ * @returns {string}
+ */
+module.exports.getSearchKey = (searchString, request) => {
+    const { areaLabel, competitorsOfPlaceId } = request.userData;
+    const searchKey = searchString || request.url;
+    // Competitor searches of each seed place have their own limits too
+    const keyPrefix = areaLabel || competitorsOfPlaceId;
+    return keyPrefix ? `${keyPrefix}: ${searchKey}` : searchKey;
+}
+
 module.exports.abortRunIfReachedMaxPlaces = async ({ searchString, request, page, crawler }) => {
     log.warning(`[SEARCH]: Finishing scraping because we reached maxCrawledPlaces `
         // + `currently: ${maxCrawledPlacesTracker.enqueuedPerSearch[searchKey]}(for this search)/${maxCrawledPlacesTracker.enqueuedTotal}(total) `
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+const { OUTPUT_SINKS } = require('../consts');
+
+/**
+ * Columns of the CSV file, one row per review (or one row for a place without reviews)
+ * @type {[string, (place: any, review: any) => any][]}
+ */
+const CSV_COLUMNS = [
+    ['placeId', (place) => place.placeId],
+    ['title', (place) => place.title],
+    ['categoryName', (place) => place.categoryName],
+    ['address', (place) => place.address],
+    ['street', (place) => place.street],
+    ['city', (place) => place.city],
+    ['postalCode', (place) => place.postalCode],
+    ['state', (place) => place.state],
+    ['countryCode', (place) => place.countryCode],
+    ['lat', (place) => place.location?.lat],
+    ['lng', (place) => place.location?.lng],
+    ['phone', (place) => place.phone],
+    ['website', (place) => place.website],
+    ['totalScore', (place) => place.totalScore],
+    ['reviewsCount', (place) => place.reviewsCount],
+    ['price', (place) => place.price],
+    ['permanentlyClosed', (place) => place.permanentlyClosed],
+    ['temporarilyClosed', (place) => place.temporarilyClosed],
+    ['url', (place) => place.url],
+    ['searchString', (place) => place.searchString],
+    ['rank', (place) => place.rank],
+    ['scrapedAt', (place) => place.scrapedAt],
+    ['reviewId', (_place, review) => review.reviewId],
+    ['reviewerName', (_place, review) => review.name],
+    ['reviewStars', (_place, review) => review.stars],
+    ['reviewPublishedAtDate', (_place, review) => review.publishedAtDate],
+    ['reviewLikesCount', (_place, review) => review.likesCount],
+    ['reviewText', (_place, review) => review.text],
+    ['reviewResponseFromOwnerText', (_place, review) => review.responseFromOwnerText],
+];
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+const toCsvValue = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flattens the place to CSV lines, with oneReviewPerRow the place already is the review
+ * @param {any} place
+ * @returns {string}
+ */
+const placeToCsvLines = (place) => {
+    const reviews = Array.isArray(place.reviews) && place.reviews.length > 0 ? place.reviews : [place];
+    return reviews
+        .map((/** @type {any} */ review) => CSV_COLUMNS.map(([, getValue]) => toCsvValue(getValue(place, review))).join(','))
+        .join('\n');
+};
+module.exports.placeToCsvLines = placeToCsvLines;
+
+/**
+ * Places without location cannot be on the map
+ * @param {any} place
+ */
+const placeToFeature = (place) => {
+    if (typeof place.location?.lat !== 'number' || typeof place.location?.lng !== 'number') {
+        return null;
+    }
+    // Reviews and images would make the file too big for GIS tools
+    const { reviews, imageUrls, ...properties } = place;
+    return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [place.location.lng, place.location.lat] },
+        properties,
+    };
+};
+module.exports.placeToFeature = placeToFeature;
+
+/**
+ * One JSON per line, everything that is pushed to the dataset
+ * @param {string} filePath
+ * @returns {typedefs.OutputSink}
+ */
+const createNdjsonSink = (filePath) => ({
+    type: OUTPUT_SINKS.NDJSON,
+    filePath,
+    contentType: 'application/x-ndjson',
+    write: (items) => {
+        fs.appendFileSync(filePath, items.map((item) => `${JSON.stringify(item)}\n`).join(''));
+    },
+    getContent: () => fs.readFileSync(filePath),
+    close: () => {},
+});
+
+/**
+ * @param {string} filePath
+ * @returns {typedefs.OutputSink}
+ */
+const createCsvSink = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        fs.writeFileSync(filePath, `${CSV_COLUMNS.map(([column]) => column).join(',')}\n`);
+    }
+    return {
+        type: OUTPUT_SINKS.CSV,
+        filePath,
+        contentType: 'text/csv',
+        write: (items) => {
+            const lines = items.filter((item) => item.placeId).map(placeToCsvLines);
+            if (lines.length > 0) {
+                fs.appendFileSync(filePath, `${lines.join('\n')}\n`);
+            }
+        },
+        getContent: () => fs.readFileSync(filePath),
+        close: () => {},
+    };
+};
+
+/**
+ * Features are appended one per line and wrapped to a FeatureCollection when the file is read
+ * @param {string} filePath
+ * @returns {typedefs.OutputSink}
+ */
+const createGeoJsonSink = (filePath) => {
+    const featuresFilePath = `${filePath}.features`;
+    if (fs.existsSync(filePath) && !fs.existsSync(featuresFilePath)) {
+        // Restored after migration
+        const { features } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        fs.writeFileSync(featuresFilePath, features.map((/** @type {any} */ feature) => `${JSON.stringify(feature)}\n`).join(''));
+    }
+    return {
+        type: OUTPUT_SINKS.GEOJSON,
+        filePath,
+        contentType: 'application/geo+json',
+        write: (items) => {
+            const features = items.filter((item) => item.placeId).map(placeToFeature).filter((feature) => feature);
+            fs.appendFileSync(featuresFilePath, features.map((feature) => `${JSON.stringify(feature)}\n`).join(''));
+        },
+        getContent: () => {
+            const features = fs.existsSync(featuresFilePath)
+                ? fs.readFileSync(featuresFilePath, 'utf8').split('\n').filter((line) => line).join(',\n')
+                : '';
+            fs.writeFileSync(filePath, `{"type":"FeatureCollection","features":[\n${features}\n]}\n`);
+            return fs.readFileSync(filePath);
+        },
+        close: () => {},
+    };
+};
+
+/**
+ * Normalized tables, places are replaced when they are scraped again
+ * @param {string} filePath
+ * @returns {typedefs.OutputSink}
+ */
+const createSqliteSink = (filePath) => {
+    // Optional native module, we load it only when it is really used
+    let Database;
+    try {
+        Database = require('better-sqlite3'); // eslint-disable-line global-require
+    } catch (err) {
+        throw new Error(`The ${OUTPUT_SINKS.SQLITE} output sink needs the optional better-sqlite3 package that could not be loaded `
+            + `(${/** @type {Error} */ (err).message}). Install it or choose other outputSinks.`);
+    }
+    const db = new Database(filePath);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS places (
+            placeId TEXT PRIMARY KEY, title TEXT, categoryName TEXT, categories TEXT, address TEXT,
+            street TEXT, city TEXT, postalCode TEXT, state TEXT, countryCode TEXT, lat REAL, lng REAL,
+            phone TEXT, website TEXT, totalScore REAL, reviewsCount INTEGER, price TEXT,
+            permanentlyClosed INTEGER, temporarilyClosed INTEGER, url TEXT, searchString TEXT, rank INTEGER, scrapedAt TEXT
+        );
+        CREATE TABLE IF NOT EXISTS reviews (
+            placeId TEXT, reviewId TEXT, reviewerName TEXT, reviewerId TEXT, stars INTEGER, publishedAtDate TEXT,
+            likesCount INTEGER, text TEXT, responseFromOwnerDate TEXT, responseFromOwnerText TEXT
+        );
+        CREATE TABLE IF NOT EXISTS images (placeId TEXT, position INTEGER, url TEXT);
+        CREATE TABLE IF NOT EXISTS opening_hours (placeId TEXT, day TEXT, hours TEXT);
+        CREATE INDEX IF NOT EXISTS reviews_placeId ON reviews (placeId);
+        CREATE INDEX IF NOT EXISTS images_placeId ON images (placeId);
+        CREATE INDEX IF NOT EXISTS opening_hours_placeId ON opening_hours (placeId);
+    `);
+    const insertPlace = db.prepare(`
+        INSERT OR REPLACE INTO places VALUES (
+            @placeId, @title, @categoryName, @categories, @address, @street, @city, @postalCode, @state, @countryCode, @lat, @lng,
+            @phone, @website, @totalScore, @reviewsCount, @price, @permanentlyClosed, @temporarilyClosed, @url, @searchString, @rank, @scrapedAt
+        )
+    `);
+    const insertReview = db.prepare(`
+        INSERT INTO reviews VALUES (
+            @placeId, @reviewId, @name, @reviewerId, @stars, @publishedAtDate, @likesCount, @text, @responseFromOwnerDate, @responseFromOwnerText
+        )
+    `);
+    const insertImage = db.prepare('INSERT INTO images VALUES (?, ?, ?)');
+    const insertOpeningHours = db.prepare('INSERT INTO opening_hours VALUES (?, ?, ?)');
+    const deleteChildren = ['reviews', 'images', 'opening_hours'].map((table) => db.prepare(`DELETE FROM ${table} WHERE placeId = ?`));
+
+    /** @param {any} value */
+    const orNull = (value) => (value === undefined ? null : value);
+    /** @param {any} value */
+    const toInteger = (value) => (typeof value === 'boolean' ? Number(value) : orNull(value));
+
+    const writePlaces = db.transaction((/** @type {any[]} */ places) => {
+        // With oneReviewPerRow, the batch has a row for each review of the same place,
+        // so the old rows of the place are deleted only once and images and opening hours are inserted only once
+        const placeIds = new Set(places.map(({ placeId }) => placeId));
+        for (const placeId of placeIds) {
+            for (const deleteChild of deleteChildren) {
+                deleteChild.run(placeId);
+            }
+        }
+        /** @type {Set<string>} */
+        const writtenPlaceIds = new Set();
+        for (const place of places) {
+            const { placeId } = place;
+            insertPlace.run({
+                ...Object.fromEntries(['title', 'categoryName', 'address', 'street', 'city', 'postalCode', 'state', 'countryCode',
+                    'phone', 'website', 'totalScore', 'reviewsCount', 'price', 'url', 'searchString', 'rank', 'scrapedAt']
+                    .map((field) => [field, orNull(place[field])])),
+                placeId,
+                categories: place.categories ? JSON.stringify(place.categories) : null,
+                lat: orNull(place.location?.lat),
+                lng: orNull(place.location?.lng),
+                permanentlyClosed: toInteger(place.permanentlyClosed),
+                temporarilyClosed: toInteger(place.temporarilyClosed),
+            });
+            // With oneReviewPerRow, the place is the review
+            const reviews = Array.isArray(place.reviews) ? place.reviews : [place].filter(({ reviewId }) => reviewId);
+            for (const review of reviews) {
+                insertReview.run({
+                    ...Object.fromEntries(['reviewId', 'name', 'reviewerId', 'stars', 'publishedAtDate', 'likesCount', 'text',
+                        'responseFromOwnerDate', 'responseFromOwnerText'].map((field) => [field, orNull(review[field])])),
+                    placeId,
+                });
+            }
+            if (writtenPlaceIds.has(placeId)) {
+                continue;
+            }
+            writtenPlaceIds.add(placeId);
+            for (const [position, imageUrl] of (place.imageUrls || []).entries()) {
+                insertImage.run(placeId, position, imageUrl);
+            }
+            for (const { day, hours } of Array.isArray(place.openingHours) ? place.openingHours : []) {
+                insertOpeningHours.run(placeId, day, hours);
+            }
+        }
+    });
+
+    return {
+        type: OUTPUT_SINKS.SQLITE,
+        filePath,
+        contentType: 'application/vnd.sqlite3',
+        write: (items) => {
+            writePlaces(items.filter((item) => item.placeId));
+        },
+        getContent: () => fs.readFileSync(filePath),
+        close: () => db.close(),
+    };
+};
+
+const FILE_SINKS = {
+    [OUTPUT_SINKS.NDJSON]: { fileName: 'places.ndjson', create: createNdjsonSink },
+    [OUTPUT_SINKS.CSV]: { fileName: 'places.csv', create: createCsvSink },
+    [OUTPUT_SINKS.GEOJSON]: { fileName: 'places.geojson', create: createGeoJsonSink },
+    [OUTPUT_SINKS.SQLITE]: { fileName: 'places.sqlite', create: createSqliteSink },
+};
+
+/**
+ * Name of the file and of the key-value store record
+ * @param {string} type
+ * @returns {string}
+ */
+module.exports.getOutputSinkFileName = (type) => FILE_SINKS[type].fileName;
+
+/**
+ * Creates the sink writing to a file in the directory, the file is kept if it already exists
+ * @param {string} type
+ * @param {string} directory
+ * @returns {typedefs.OutputSink}
+ */
+module.exports.createOutputSink = (type, directory) => {
+    const fileSink = FILE_SINKS[type];
+    if (!fileSink) {
+        throw new Error(`Unknown output sink "${type}", use one of ${Object.values(OUTPUT_SINKS).join(', ')}`);
+    }
+    return fileSink.create(path.join(directory, fileSink.fileName));
+};
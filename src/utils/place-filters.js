@@ -0,0 +1,80 @@
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+const { FILTERED_OUT_REASONS } = require('../consts');
+
+/**
+ * Category filter matches parts of the names case-insensitively, "restaurant" matches "Pizza restaurant"
+ * @param {(string | null | undefined)[]} placeCategories
+ * @param {string[]} filterCategories
+ */
+const hasWantedCategory = (placeCategories, filterCategories) => {
+    const normalizedCategories = placeCategories.filter((category) => category).map((category) => `${category}`.toLowerCase());
+    return filterCategories.some((filterCategory) => {
+        const normalizedFilterCategory = filterCategory.trim().toLowerCase();
+        return normalizedCategories.some((category) => category.includes(normalizedFilterCategory));
+    });
+};
+
+/**
+ * @param {{
+ *  totalScore?: number | null,
+ *  reviewsCount?: number | null,
+ *  categories?: string[] | null,
+ *  categoryName?: string | null,
+ *  permanentlyClosed?: boolean | null,
+ *  temporarilyClosed?: boolean | null,
+ *  isOpenNow?: boolean | null,
+ * }} place
+ * @param {typedefs.PlaceFilters | undefined} placeFilters
+ * @param {boolean} skipUnknown Search results don't have all the data, unknown values are checked on the place page
+ * @returns {string | null}
+ */
+const getFilteredOutReason = (place, placeFilters, skipUnknown) => {
+    if (!placeFilters) {
+        return null;
+    }
+    const { minTotalScore, minReviewsCount, categories = [], skipPermanentlyClosed, skipTemporarilyClosed, onlyOpenNow } = placeFilters;
+    /** @param {any} value */
+    const isKnown = (value) => value !== null && value !== undefined;
+
+    if (skipPermanentlyClosed && place.permanentlyClosed) {
+        return FILTERED_OUT_REASONS.PERMANENTLY_CLOSED;
+    }
+    if (skipTemporarilyClosed && place.temporarilyClosed) {
+        return FILTERED_OUT_REASONS.TEMPORARILY_CLOSED;
+    }
+    if (minTotalScore && (isKnown(place.totalScore) || !skipUnknown) && !(Number(place.totalScore) >= minTotalScore)) {
+        return FILTERED_OUT_REASONS.TOTAL_SCORE;
+    }
+    if (minReviewsCount && (isKnown(place.reviewsCount) || !skipUnknown) && !(Number(place.reviewsCount) >= minReviewsCount)) {
+        return FILTERED_OUT_REASONS.REVIEWS_COUNT;
+    }
+    const placeCategories = [...(place.categories || []), place.categoryName];
+    const hasCategories = placeCategories.some((category) => category);
+    if (categories.length > 0 && (hasCategories || !skipUnknown) && !hasWantedCategory(placeCategories, categories)) {
+        return FILTERED_OUT_REASONS.CATEGORIES;
+    }
+    if (onlyOpenNow && (isKnown(place.isOpenNow) || !skipUnknown) && !place.isOpenNow) {
+        return FILTERED_OUT_REASONS.CLOSED_NOW;
+    }
+    return null;
+};
+
+/**
+ * Decides on the data from the search results so the place page doesn't have to be opened
+ * @param {typedefs.PlacePaginationData} placePaginationData
+ * @param {typedefs.PlaceFilters | undefined} placeFilters
+ * @returns {string | null}
+ */
+module.exports.getListingFilteredOutReason = (placePaginationData, placeFilters) => {
+    return getFilteredOutReason(placePaginationData, placeFilters, true);
+};
+
+/**
+ * Places without a rating or the open status don't pass the rating or open now filters
+ * @param {Record<string, any>} place
+ * @param {typedefs.PlaceFilters | undefined} placeFilters
+ * @returns {string | null}
+ */
+module.exports.getPlaceFilteredOutReason = (place, placeFilters) => {
+    return getFilteredOutReason(place, placeFilters, false);
+};
@@ -2,10 +2,17 @@ const Apify = require('apify');
 const turf = require('@turf/turf');
 
 const typedefs = require('../typedefs'); // eslint-disable-line
+const { createBoundaryProvider } = require('./boundary-providers');
+const { OUT_OF_POLYGON_REASONS } = require('../consts');
 
 const { log } = Apify.utils;
 const TURF_UNIT = 'kilometers';
 
+// How many matches of the geolocation we compare
+const GEOLOCATION_CANDIDATES_LIMIT = 10;
+// The most populated match is picked only if it is this many times bigger than the others
+const POPULATION_DOMINANCE_RATIO = 10;
+
 const GEO_TYPES = {
     MULTI_POLYGON: 'MultiPolygon',
     POLYGON: 'Polygon',
@@ -34,23 +41,58 @@ function getPolygonFromBoundingBox(boundingbox) {
 }
 
 /**
- * Checks if provided coordinates are inside a geolocation
- * If no coordinates or geo is provided, this returns true (ease of use for non geolocated searches)
- * @param { typedefs.Geolocation | undefined} geolocation
+ * @param {typedefs.Geolocation} geolocation
+ * @param {any} point
+ */
+function isPointInGeolocation(geolocation, point) {
+    return getPolygons(geolocation).some((/** @type {any} */ polygon) => turf.booleanContains(polygon, point));
+}
+
+/**
+ * Returns why the coordinates are not in the searched area or null if they are
+ * If no coordinates or geo is provided, this returns null (ease of use for non geolocated searches)
+ * @param {typedefs.Geolocation | undefined} geolocation
  * @param {typedefs.Coordinates | null | undefined} coordinates
+ * @param {typedefs.Geolocation} [excludeGeolocation]
+ * @returns {string | null}
  */
-module.exports.checkInPolygon = (geolocation, coordinates) => {
-    if (!geolocation || !coordinates || !coordinates.lng || !coordinates.lat) {
-        return true;
+const getOutOfPolygonReason = (geolocation, coordinates, excludeGeolocation) => {
+    if (!coordinates || !coordinates.lng || !coordinates.lat) {
+        return null;
     }
     const point = turf.point([coordinates.lng, coordinates.lat]);
-    let included = false;
-    const polygons = getPolygons(geolocation);
-    for (const polygon of polygons) {
-        included = turf.booleanContains(polygon, point);
-        if (included) break;
+    if (excludeGeolocation && isPointInGeolocation(excludeGeolocation, point)) {
+        return OUT_OF_POLYGON_REASONS.IN_EXCLUDED_AREA;
     }
-    return included;
+    if (geolocation && !isPointInGeolocation(geolocation, point)) {
+        return OUT_OF_POLYGON_REASONS.OUTSIDE_SEARCH_AREA;
+    }
+    return null;
+}
+module.exports.getOutOfPolygonReason = getOutOfPolygonReason;
+
+/**
+ * Checks if provided coordinates are inside a geolocation and not in the excluded area
+ * If no coordinates or geo is provided, this returns true (ease of use for non geolocated searches)
+ * @param { typedefs.Geolocation | undefined} geolocation
+ * @param {typedefs.Coordinates | null | undefined} coordinates
+ * @param {typedefs.Geolocation} [excludeGeolocation]
+ */
+module.exports.checkInPolygon = (geolocation, coordinates, excludeGeolocation) => {
+    return getOutOfPolygonReason(geolocation, coordinates, excludeGeolocation) === null;
+}
+
+/**
+ * True if the whole map viewport is in the excluded area so there is nothing to search
+ * @param {{ lat: number, lng: number, zoom: number }} viewport
+ * @param {typedefs.Geolocation | undefined} excludeGeolocation
+ */
+function isSearchCellExcluded(viewport, excludeGeolocation) {
+    if (!excludeGeolocation) {
+        return false;
+    }
+    const cellPolygon = getSearchCellPolygon(viewport);
+    return getPolygons(excludeGeolocation).some((/** @type {any} */ polygon) => turf.booleanWithin(cellPolygon, polygon));
 }
 
 /**
@@ -58,7 +100,7 @@ module.exports.checkInPolygon = (geolocation, coordinates) => {
  * @returns {any}
  */
 function getPolygons(geolocation) {
-    const { coordinates, type, geometry, radiusKm = 5 } = geolocation;
+    const { coordinates, type, geometry, radiusKm = 5, bufferKm } = geolocation;
     if (type === GEO_TYPES.POLYGON) {
         return [turf.polygon(coordinates)];
     }
@@ -72,6 +114,11 @@ function getPolygons(geolocation) {
         return [turf.circle(coordinates, radiusKm, { units: TURF_UNIT })];
     }
 
+    // Route with a corridor around it
+    if (type === GEO_TYPES.LINE_STRING && bufferKm) {
+        return [turf.buffer(turf.lineString(coordinates), bufferKm, { units: TURF_UNIT })];
+    }
+
     // Line (road or street) - find midpoint and length and create circle
     if (type === GEO_TYPES.LINE_STRING) {
         const firstPoint = turf.point(coordinates[0]);
@@ -88,34 +135,227 @@ function getPolygons(geolocation) {
     return coordinates.map((/** @type any*/ coords) => turf.polygon(coords));
 }
 
-// Sadly, even some bigger cities (Bremer­haven) are not found by the API
-// Maybe we need to find a fallback
+// Sadly, even some bigger cities (Bremer­haven) are not found by Nominatim
+// For these, you can use the local boundaries file provider
 /**
+ * Names are not unique (Springfield, Paris...) so we get all the matches and pick one later
  * @param {typedefs.GeolocationOptions} options
+ * @param {typedefs.BoundaryProvider} [boundaryProvider] Nominatim by default
+ * @returns {Promise<typedefs.GeolocationFull[]>}
  */
-module.exports.getGeolocation = async (options) => {
-    const { city, state, country, postalCode, county } = options;
-    const cityString = (city || '').trim().replace(/\s+/g, '+');
-    const stateString = (state || '').trim().replace(/\s+/g, '+');
-    const countyString = (county || '').trim().replace(/\s+/g, '+');
-    const countryString = (country || '').trim().replace(/\s+/g, '+');
-    const postalCodeString = (postalCode || '').trim().replace(/\s+/g, '+');
-
-    // TODO when get more results? Currently only first match is returned!
-    const res = await Apify.utils.requestAsBrowser({
-        url: encodeURI(`https://nominatim.openstreetmap.org/search?country=${countryString}&state=${stateString}&county=${countyString}&city=${cityString}&postalcode=${postalCodeString}&format=json&polygon_geojson=1&limit=1&polygon_threshold=0.005`),
-        headers: { referer: 'http://google.com' },
-    });
-    // @ts-ignore
-    const body = JSON.parse(res.body);
-    const geolocationFull = body[0];
-    if (!geolocationFull) {
+module.exports.getGeolocationCandidates = async (options, boundaryProvider = createBoundaryProvider()) => {
+    const candidates = await boundaryProvider.search(options, GEOLOCATION_CANDIDATES_LIMIT);
+    if (candidates.length === 0) {
         throw new Error('[Geolocation]: Location not found! Try other geolocation options or contact support@apify.com.');
     }
+    return candidates;
+}
+
+/**
+ * Short version of the candidate without the polygon for the logs and the GEO-CANDIDATES record
+ * @param {typedefs.GeolocationFull} geolocationFull
+ * @returns {typedefs.GeolocationCandidate}
+ */
+const getGeolocationCandidateSummary = (geolocationFull) => {
+    const { display_name, osm_id, type, population, country_code, lat, lon } = geolocationFull;
+    return {
+        osmId: osm_id === undefined ? null : osm_id,
+        displayName: display_name || null,
+        type: type || null,
+        population: population || null,
+        countryCode: country_code || null,
+        lat: lat === undefined ? null : Number(lat),
+        lng: lon === undefined ? null : Number(lon),
+    };
+}
+module.exports.getGeolocationCandidateSummary = getGeolocationCandidateSummary;
+
+/**
+ * @param {string} reason
+ * @param {typedefs.GeolocationFull[]} candidates
+ */
+const getAmbiguousGeolocationError = (reason, candidates) => {
+    const listing = candidates.map(getGeolocationCandidateSummary).map(({ osmId, displayName, type, population }) => {
+        return `  - osmId: ${osmId} | ${displayName} | type: ${type || 'unknown'} | population: ${population || 'unknown'}`;
+    }).join('\n');
+    return new Error(`[Geolocation]: ${reason} Add osmId of the right one to the input `
+        + `or make the location more specific (e.g. add country or state). Matching locations:\n${listing}`);
+}
+
+/**
+ * @param {typedefs.GeolocationFull} a
+ * @param {typedefs.GeolocationFull} b
+ */
+const isSameGeolocation = (a, b) => {
+    if (a.osm_id !== undefined && String(a.osm_id) === String(b.osm_id) && a.osm_type === b.osm_type) {
+        return true;
+    }
+    return !!a.display_name && a.display_name === b.display_name;
+}
+
+/**
+ * @param {typedefs.GeolocationFull} geolocationFull
+ */
+const hasPolygonBoundary = ({ geojson }) => {
+    return geojson?.type === GEO_TYPES.POLYGON || geojson?.type === GEO_TYPES.MULTI_POLYGON;
+}
+
+/**
+ * Nominatim often returns the same place more times, e.g. the city boundary and its center node
+ * We keep one candidate for each place, the one with the polygon boundary if there is one
+ * @param {typedefs.GeolocationFull[]} candidates
+ * @returns {typedefs.GeolocationFull[]}
+ */
+const dedupeGeolocations = (candidates) => {
+    /** @type {typedefs.GeolocationFull[]} */
+    const unique = [];
+    for (const candidate of candidates) {
+        const sameIndex = unique.findIndex((other) => isSameGeolocation(other, candidate));
+        if (sameIndex === -1) {
+            unique.push(candidate);
+        } else if (!hasPolygonBoundary(unique[sameIndex]) && hasPolygonBoundary(candidate)) {
+            unique[sameIndex] = candidate;
+        }
+    }
+    return unique;
+}
+
+/**
+ * Picks one of the matching locations, in this order:
+ * 1. The one with the osmId from input
+ * 2. The only one in the country from input (if it is a 2-letter country code)
+ * 3. The most populated one if it is much bigger than the others (Paris, France vs. Paris, Texas)
+ * Duplicates of the same place (same OSM object or display name) count as one, preferring the polygon boundary
+ * Throws with a listing of the candidates if we cannot decide
+ * @param {typedefs.GeolocationFull[]} candidates
+ * @param {{ osmId?: number | string, country?: string }} rules
+ * @returns {typedefs.GeolocationFull}
+ */
+module.exports.pickGeolocation = (candidates, { osmId, country }) => {
+    // Duplicates of the same place are not ambiguous
+    let matching = dedupeGeolocations(candidates);
+    if (osmId) {
+        matching = matching.filter((candidate) => String(candidate.osm_id) === String(osmId));
+        if (matching.length === 0) {
+            throw getAmbiguousGeolocationError(`No location matches osmId ${osmId}.`, candidates);
+        }
+    }
+
+    const countryCode = (country || '').trim().toLowerCase();
+    if (matching.length > 1 && countryCode.length === 2) {
+        const inCountry = matching.filter((candidate) => !candidate.country_code || candidate.country_code.toLowerCase() === countryCode);
+        if (inCountry.length > 0) {
+            matching = inCountry;
+        }
+    }
+
+    if (matching.length > 1) {
+        const byPopulation = [...matching].sort((a, b) => (b.population || 0) - (a.population || 0));
+        const [biggest, secondBiggest] = byPopulation;
+        if (!biggest.population || biggest.population < (secondBiggest.population || 0) * POPULATION_DOMINANCE_RATIO) {
+            throw getAmbiguousGeolocationError(`Found ${matching.length} locations matching the input.`, matching);
+        }
+        log.warning(`[Geolocation]: Found ${matching.length} matching locations, using the most populated one. `
+            + `Check GEO-CANDIDATES in the key-value store and add osmId to the input if it is not the right one.`);
+        matching = [biggest];
+    }
+
+    const [geolocationFull] = matching;
     log.info(`[Geolocation]: Location found: ${geolocationFull.display_name}, lat: ${geolocationFull.lat}, long: ${geolocationFull.lon}`);
     return geolocationFull;
 }
 
+/**
+ * Circle around the center as a polygon so it can be used like any other search area
+ * @param {{ lat: number, lng: number, radiusKm: number }} options
+ * @returns {typedefs.Geolocation}
+ */
+module.exports.getCircleGeolocation = ({ lat, lng, radiusKm }) => {
+    const circle = turf.circle([lng, lat], radiusKm, { units: TURF_UNIT });
+    return {
+        type: GEO_TYPES.POLYGON,
+        coordinates: turf.getCoords(circle),
+        geometry: undefined,
+    };
+}
+
+/**
+ * Decodes Google's encoded polyline format (precision 5) to [lng, lat] coordinates
+ * https://developers.google.com/maps/documentation/utilities/polylinealgorithm
+ * @param {string} encoded
+ * @returns {number[][]}
+ */
+const decodePolyline = (encoded) => {
+    const coordinates = [];
+    let index = 0;
+    let lat = 0;
+    let lng = 0;
+    const decodeValue = () => {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (index >= encoded.length) {
+                throw new Error('WRONG INPUT: routePolyline is not a valid encoded polyline');
+            }
+            byte = encoded.charCodeAt(index++) - 63;
+            result |= (byte & 0x1f) << shift;
+            shift += 5;
+        } while (byte >= 0x20);
+        return result & 1 ? ~(result >> 1) : result >> 1;
+    };
+    while (index < encoded.length) {
+        lat += decodeValue();
+        lng += decodeValue();
+        coordinates.push([lng / 1e5, lat / 1e5]);
+    }
+    return coordinates;
+}
+module.exports.decodePolyline = decodePolyline;
+
+/**
+ * Route from GeoJSON LineString (plain or as a Feature) or from encoded polyline
+ * @param {{ route?: any, routePolyline?: string, bufferKm: number }} options
+ * @returns {typedefs.Geolocation}
+ */
+module.exports.getRouteGeolocation = ({ route, routePolyline, bufferKm }) => {
+    const lineString = route?.type === FEATURE ? route.geometry : route;
+    let coordinates;
+    if (routePolyline) {
+        coordinates = decodePolyline(routePolyline.trim());
+    } else if (lineString?.type === GEO_TYPES.LINE_STRING) {
+        coordinates = lineString.coordinates.map((/** @type {any[]} */ point) => point.map(Number));
+    } else {
+        throw new Error('WRONG INPUT: route has to be a GeoJSON LineString');
+    }
+    if (coordinates.length < 2) {
+        throw new Error('WRONG INPUT: Route has to have at least 2 points');
+    }
+    return {
+        type: GEO_TYPES.LINE_STRING,
+        coordinates,
+        geometry: undefined,
+        bufferKm,
+    };
+}
+
+/**
+ * Points along the line with the given distance between them, including both ends
+ * @param {number[][]} coordinates
+ * @param {number} distanceKilometers
+ * @returns {number[][]}
+ */
+function getPointsAlongLine(coordinates, distanceKilometers) {
+    const line = turf.lineString(coordinates);
+    const length = turf.length(line, { units: TURF_UNIT });
+    const points = [];
+    for (let distance = 0; distance < length; distance += distanceKilometers) {
+        points.push(turf.getCoord(turf.along(line, distance, { units: TURF_UNIT })));
+    }
+    points.push(coordinates[coordinates.length - 1]);
+    return points;
+}
+
 /**
  * Calculates distance meters per pixel for zoom and latitude.
  * @param {number} lat
@@ -152,9 +392,10 @@ module.exports.getGeoJson = (geolocationFull) => {
  *  Prepare centre points grid for search
  * @param {typedefs.Geolocation} geolocation
  * @param {number} zoom
+ * @param {typedefs.Geolocation} [excludeGeolocation] points with the whole viewport in this area are left out
  * @returns {Promise<*[]|*>} Array of points
  */
-module.exports.findPointsInPolygon = async (geolocation, zoom) => {
+module.exports.findPointsInPolygon = async (geolocation, zoom, excludeGeolocation) => {
     const { coordinates, type } = geolocation;
     if (!coordinates && ![FEATURE_COLLECTION, FEATURE].includes(type)) return [];
 
@@ -164,9 +405,12 @@ module.exports.findPointsInPolygon = async (geolocation, zoom) => {
         const [lon, lat] = coordinates;
         points.push({ lon, lat });
     }
-    // If we have a line add a first and last point
+    // If we have a line add a first and last point, for a route we add points along the whole line
+    // because the grid can miss a corridor that is narrower than the distance between its points
     if (type === GEO_TYPES.LINE_STRING) {
-        const pointsToProcess = [coordinates[0], coordinates[coordinates.length - 1]];
+        const pointsToProcess = geolocation.bufferKm
+            ? getPointsAlongLine(coordinates, distanceByZoom(coordinates[0][1], zoom) * (800 / 1000))
+            : [coordinates[0], coordinates[coordinates.length - 1]];
         pointsToProcess.forEach((point) => {
             const [lon, lat] = point;
             points.push({ lon, lat });
@@ -213,5 +457,67 @@ module.exports.findPointsInPolygon = async (geolocation, zoom) => {
     } catch (e) {
         log.exception(/** @type {Error} */ (e), 'Failed to create point grid', { location, zoom });
     }
+    if (excludeGeolocation) {
+        const pointsCount = points.length;
+        const includedPoints = points.filter(({ lat, lon }) => !isSearchCellExcluded({ lat, lng: lon, zoom }, excludeGeolocation));
+        log.info(`[Geolocation]: Skipped ${pointsCount - includedPoints.length} searches in the excluded area`);
+        return includedPoints;
+    }
     return points;
 }
+
+/**
+ * Splits the map viewport around the center into 4 quarters that are searched one zoom level closer.
+ * Quarters that don't touch the searched area are left out.
+ * @param {{ lat: number, lng: number, zoom: number }} cell
+ * @param {typedefs.Geolocation | undefined} geolocation
+ * @param {typedefs.Geolocation} [excludeGeolocation] quarters fully in this area are left out too
+ * @returns {{ lat: number, lng: number, zoom: number }[]}
+ */
+module.exports.splitSearchCell = ({ lat, lng, zoom }, geolocation, excludeGeolocation) => {
+    // Same size of the viewport as we use for the grid spacing
+    const cellKilometers = distanceByZoom(lat, zoom) * (800 / 1000);
+    const offsetKilometers = cellKilometers / 4;
+    const center = turf.point([lng, lat]);
+    const polygons = geolocation ? getPolygons(geolocation) : [];
+
+    const children = [];
+    for (const verticalBearing of [0, 180]) {
+        for (const horizontalBearing of [-90, 90]) {
+            const childCenter = turf.destination(
+                turf.destination(center, offsetKilometers, verticalBearing, { units: TURF_UNIT }),
+                offsetKilometers, horizontalBearing, { units: TURF_UNIT },
+            );
+            // Circle around the quarter is good enough for the intersection check
+            const childArea = turf.circle(childCenter, offsetKilometers * Math.SQRT2, { units: TURF_UNIT });
+            const touchesArea = polygons.length === 0
+                || polygons.some((/** @type {any} */ polygon) => !turf.booleanDisjoint(childArea, polygon));
+            if (!touchesArea) {
+                continue;
+            }
+            const [childLng, childLat] = turf.getCoord(childCenter);
+            const child = { lat: Number(childLat.toFixed(7)), lng: Number(childLng.toFixed(7)), zoom: zoom + 1 };
+            if (isSearchCellExcluded(child, excludeGeolocation)) {
+                continue;
+            }
+            children.push(child);
+        }
+    }
+    return children;
+}
+
+/**
+ * Approximate area that the map shows for the viewport, same size as we use for the grid spacing
+ * @param {{ lat: number, lng: number, zoom: number }} viewport
+ * @returns {turf.Polygon}
+ */
+const getSearchCellPolygon = ({ lat, lng, zoom }) => {
+    const halfCellKilometers = (distanceByZoom(lat, zoom) * (800 / 1000)) / 2;
+    const center = turf.point([lng, lat]);
+    const [, north] = turf.getCoord(turf.destination(center, halfCellKilometers, 0, { units: TURF_UNIT }));
+    const [, south] = turf.getCoord(turf.destination(center, halfCellKilometers, 180, { units: TURF_UNIT }));
+    const [east] = turf.getCoord(turf.destination(center, halfCellKilometers, 90, { units: TURF_UNIT }));
+    const [west] = turf.getCoord(turf.destination(center, halfCellKilometers, -90, { units: TURF_UNIT }));
+    return turf.getGeom(turf.bboxPolygon([west, south, east, north]));
+}
+module.exports.getSearchCellPolygon = getSearchCellPolygon;
@@ -0,0 +1,61 @@
+const Apify = require('apify');
+const turf = require('@turf/turf');
+
+const { LABELS } = require('../consts');
+const typedefs = require('../typedefs'); // eslint-disable-line no-unused-vars
+
+const { log } = Apify.utils;
+
+/**
+ * Square grid of points with the center in the middle, row 0 is the north and column 0 the west
+ * @param {{
+ *  lat: number,
+ *  lng: number,
+ *  gridSize: number,
+ *  gridSpacingMeters: number,
+ * }} options
+ * @returns {typedefs.RankTrackingPoint[]}
+ */
+const getRankTrackingGrid = ({ lat, lng, gridSize, gridSpacingMeters }) => {
+    const center = turf.point([lng, lat]);
+    const spacingKilometers = gridSpacingMeters / 1000;
+    const middle = (gridSize - 1) / 2;
+    const points = [];
+    for (let row = 0; row < gridSize; row++) {
+        for (let column = 0; column < gridSize; column++) {
+            const north = (middle - row) * spacingKilometers;
+            const east = (column - middle) * spacingKilometers;
+            const rowPoint = turf.destination(center, Math.abs(north), north >= 0 ? 0 : 180, { units: 'kilometers' });
+            const point = turf.destination(rowPoint, Math.abs(east), east >= 0 ? 90 : -90, { units: 'kilometers' });
+            const [pointLng, pointLat] = turf.getCoord(point);
+            points.push({ row, column, lat: Number(pointLat.toFixed(7)), lng: Number(pointLng.toFixed(7)) });
+        }
+    }
+    return points;
+};
+module.exports.getRankTrackingGrid = getRankTrackingGrid;
+
+/**
+ * One search for each point of the grid, similar to the walker
+ * @param {{
+ *  lat: number,
+ *  lng: number,
+ *  gridSize: number,
+ *  gridSpacingMeters: number,
+ *  zoom: number,
+ *  searchString: string,
+ * }} options
+ */
+module.exports.createRankTrackingStartRequests = ({ lat, lng, gridSize, gridSpacingMeters, zoom, searchString }) => {
+    const points = getRankTrackingGrid({ lat, lng, gridSize, gridSpacingMeters });
+    log.info(`[RANK TRACKING]: Searching "${searchString}" from ${points.length} points `
+        + `(${gridSize}x${gridSize} grid, ${gridSpacingMeters} meters apart) around ${lat}, ${lng}`);
+    return points.map((point) => {
+        const url = `https://www.google.com/maps/@${point.lat},${point.lng},${zoom}z/search/${searchString}`;
+        return {
+            url,
+            uniqueKey: url,
+            userData: { label: LABELS.SEARCH, searchString, rankTrackingPoint: point },
+        };
+    });
+};
@@ -1,7 +1,9 @@
 const Apify = require('apify');
 
 const { GEO_TO_DEFAULT_ZOOM } = require('../consts');
-const { getGeolocation, findPointsInPolygon, getGeoJson } = require('./polygon');
+const {
+    getGeolocationCandidates, getGeolocationCandidateSummary, pickGeolocation, findPointsInPolygon, getGeoJson, getCircleGeolocation, getRouteGeolocation,
+} = require('./polygon');
 const { Geolocation, GeolocationFull } = require('../typedefs');
 
 const { log } = Apify.utils;
@@ -12,10 +14,12 @@ const { log } = Apify.utils;
  *  state: string | undefined,
  *  county: string | undefined,
  *  city: string | undefined,
- *  postalCode: string | undefined
+ *  postalCode: string | undefined,
+ *  radiusKm?: number,
+ *  isRoute?: boolean,
  * }} geolocation
  */
-const getMatchingDefaultZoom = ({ country, state, county, city, postalCode }) => {
+const getMatchingDefaultZoom = ({ country, state, county, city, postalCode, radiusKm, isRoute }) => {
     // We start with the most specific that should get highest zoom
     if (postalCode) {
         return GEO_TO_DEFAULT_ZOOM.postalCode;
@@ -32,6 +36,12 @@ const getMatchingDefaultZoom = ({ country, state, county, city, postalCode }) =>
     if (country) {
         return GEO_TO_DEFAULT_ZOOM.country;
     }
+    if (radiusKm) {
+        return GEO_TO_DEFAULT_ZOOM.radius;
+    }
+    if (isRoute) {
+        return GEO_TO_DEFAULT_ZOOM.route;
+    }
     return GEO_TO_DEFAULT_ZOOM.default;
 }
 
@@ -39,6 +49,10 @@ const getMatchingDefaultZoom = ({ country, state, county, city, postalCode }) =>
  * @param {{
  *  lat: string | undefined,
  *  lng: string | undefined,
+ *  radiusKm?: number,
+ *  route?: any,
+ *  routePolyline?: string,
+ *  routeBufferMeters?: number,
  *  userOverridingZoom: number | undefined,
  *  country: string | undefined,
  *  state: string | undefined,
@@ -46,13 +60,24 @@ const getMatchingDefaultZoom = ({ country, state, county, city, postalCode }) =>
  *  city: string | undefined,
  *  postalCode: string | undefined,
  *  customGeolocation: Geolocation | undefined,
+ *  boundaryProvider?: import('../typedefs').BoundaryProvider,
+ *  osmId?: number | string,
+ *  geoRecordKey?: string,
+ *  excludeGeolocation?: Geolocation,
  * }} options
  */
-exports.prepareSearchUrlsAndGeo = async ({ lat, lng, userOverridingZoom, country, state, county, city, postalCode, customGeolocation }) => {
+exports.prepareSearchUrlsAndGeo = async ({
+    lat, lng, radiusKm, route, routePolyline, routeBufferMeters = 1000, userOverridingZoom, country, state, county, city, postalCode, customGeolocation, boundaryProvider, osmId,
+    // Each area of the batch input has its own record
+    geoRecordKey = 'GEO',
+    excludeGeolocation,
+}) => {
     // Base part of the URLs to make up the startRequests
     const startUrlSearches = [];
 
-    const zoom = userOverridingZoom || getMatchingDefaultZoom({ country, state, county, city, postalCode });
+    const zoom = userOverridingZoom || getMatchingDefaultZoom({
+        country, state, county, city, postalCode, radiusKm, isRoute: !!(route || routePolyline),
+    });
     log.info(`Using zoom ${zoom} to define the search. `
         + `Higher zoom takes exponentially more time to run but is able to extract more (usually less known) places`
         + `You can override the default zoom in input`);
@@ -62,25 +87,33 @@ exports.prepareSearchUrlsAndGeo = async ({ lat, lng, userOverridingZoom, country
 
     // preference for startUrlSearches is state & city > lat & lng
     // because people often use both and we want to split the map for more results
-    if (customGeolocation || country || state || county || city || postalCode) {
+    if (customGeolocation || route || routePolyline || country || state || county || city || postalCode) {
         /** @type {GeolocationFull | null} */
         let fullGeolocation = null;
         if (customGeolocation) {
             log.warning(`Using provided customGeolocation`);
             fullGeolocation = { geojson: customGeolocation, boundingbox: undefined, display_name: undefined }
         }
+        if (!fullGeolocation && (route || routePolyline)) {
+            const geojson = getRouteGeolocation({ route, routePolyline, bufferKm: routeBufferMeters / 1000 });
+            log.info(`Searching along the route with ${geojson.coordinates.length} points within ${routeBufferMeters} meters`);
+            fullGeolocation = { geojson, boundingbox: undefined, display_name: undefined };
+        }
         if (!fullGeolocation) {
             // Store so we don't have to call it again
-            fullGeolocation = /** @type {GeolocationFull} */ (await Apify.getValue('GEO'));
+            fullGeolocation = /** @type {GeolocationFull} */ (await Apify.getValue(geoRecordKey));
         }
         if (!fullGeolocation) {
-            fullGeolocation = await getGeolocation({ country, state, county, city, postalCode });
+            const candidates = await getGeolocationCandidates({ country, state, county, city, postalCode }, boundaryProvider);
+            // Saved before picking so it can be checked when the location is ambiguous
+            await Apify.setValue(`${geoRecordKey}-CANDIDATES`, candidates.map(getGeolocationCandidateSummary));
+            fullGeolocation = pickGeolocation(candidates, { osmId, country });
         }
         if (fullGeolocation) {
-            await Apify.setValue('GEO', fullGeolocation);
+            await Apify.setValue(geoRecordKey, fullGeolocation);
             geolocation = getGeoJson(fullGeolocation);
 
-            const points = await findPointsInPolygon(geolocation, zoom);
+            const points = await findPointsInPolygon(geolocation, zoom, excludeGeolocation);
             for (const point of points) {
                 startUrlSearches.push(`https://www.google.com/maps/@${point.lat},${point.lon},${zoom}z/search`);
             }
@@ -90,7 +123,17 @@ exports.prepareSearchUrlsAndGeo = async ({ lat, lng, userOverridingZoom, country
         if (!lat || !lng) {
             throw 'You have to define both lat and lng!';
         }
-        startUrlSearches.push(`https://www.google.com/maps/@${lat},${lng},${zoom}z/search`);
+        if (radiusKm) {
+            // The circle is then used the same way as the polygon of a city
+            geolocation = getCircleGeolocation({ lat: Number(lat), lng: Number(lng), radiusKm });
+            const points = await findPointsInPolygon(geolocation, zoom, excludeGeolocation);
+            for (const point of points) {
+                startUrlSearches.push(`https://www.google.com/maps/@${point.lat},${point.lon},${zoom}z/search`);
+            }
+            log.info(`Created ${startUrlSearches.length} search page URLs within ${radiusKm} km of ${lat}, ${lng}.`);
+        } else {
+            startUrlSearches.push(`https://www.google.com/maps/@${lat},${lng},${zoom}z/search`);
+        }
     } else {
         startUrlSearches.push('https://www.google.com/maps/search');
     }
@@ -0,0 +1,1269 @@
+/**
+ * Offline regression tests for the JSON parsers
+ * Captured Google payloads from /samples are replayed through the extractors
+ * and the results are compared with the golden outputs in /test/golden
+ * When Google changes the layout on purpose, regenerate them with:
+ * UPDATE_GOLDEN=1 npm run test-local
+ */
+const fs = require('fs');
+const http = require('http');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const { expect } = require('chai');
+const os = require('os');
+const turf = require('@turf/turf');
+const Apify = require('apify');
+
+const { parseSearchPlacesResponseBody, parseJsonResult, extractPopularTimes } = require('../src/place-extractors/general');
+const { parseReviewFromJson, parseReviewFromResponseBody, isKnownReview } = require('../src/place-extractors/reviews');
+const { parseStructuredOpeningHours, isOpenAt } = require('../src/place-extractors/opening-hours');
+const { getJsonField, getJsonPathsReport } = require('../src/utils/json-paths');
+const {
+    splitSearchCell, getGeolocationCandidates, pickGeolocation, checkInPolygon, decodePolyline, getRouteGeolocation, findPointsInPolygon,
+    getOutOfPolygonReason,
+} = require('../src/utils/polygon');
+const { prepareSearchUrlsAndGeo } = require('../src/utils/search');
+const { createBoundaryProvider } = require('../src/utils/boundary-providers');
+const { parseMapViewportFromUrl, replaceMapViewportInUrl, getSearchKey } = require('../src/utils/misc-utils');
+const { validateInput } = require('../src/utils/input-validation');
+const { getRankTrackingGrid, createRankTrackingStartRequests } = require('../src/utils/rank-tracking');
+const { createOutputSink } = require('../src/utils/output-sinks');
+const { projectFields, isAnyFieldWanted } = require('../src/utils/field-projection');
+const { getListingFilteredOutReason, getPlaceFilteredOutReason } = require('../src/utils/place-filters');
+const PlacesCache = require('../src/helper-classes/places_cache');
+const PlaceHistory = require('../src/helper-classes/place-history');
+const PlaceProvenance = require('../src/helper-classes/place-provenance');
+const Cassette = require('../src/helper-classes/cassette');
+const RankTracker = require('../src/helper-classes/rank-tracker');
+const SponsoredResults = require('../src/helper-classes/sponsored-results');
+const CompetitorComparison = require('../src/helper-classes/competitor-comparison');
+const NormalizedDatasets = require('../src/helper-classes/normalized-datasets');
+const PlaceWebhook = require('../src/helper-classes/place-webhook');
+const PlacesOutput = require('../src/helper-classes/places-output');
+const Stats = require('../src/helper-classes/stats');
+const MaxCrawledPlacesTracker = require('../src/helper-classes/max-crawled-places');
+
+// Tests of the helper classes that load their state from storages don't touch ./apify_storage
+process.env.APIFY_LOCAL_STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'google-maps-test-storage-'));
+
+const SAMPLES_DIR = path.join(__dirname, '../samples');
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+/** @param {string} fileName */
+const loadSample = (fileName) => JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, fileName), 'utf8'));
+
+// Some captures are the whole APP_INITIALIZATION_STATE[3][6], the place data are under index 6
+/** @param {string} fileName */
+const loadPlaceJsonData = (fileName) => {
+    const sample = loadSample(fileName);
+    return sample.length < 100 ? sample[6] : sample;
+};
+
+const PLACE_SAMPLES = {
+    londonEye: 'LONDON_EYE_APP_INIT_STATE_FIELD.json',
+    donerPizzeria: 'APP_INIT_FIELD_FB.json',
+    closedGym: 'INIT-STATE-closed.json',
+    doctor: 'APP_INITIALIZATION_FIELD_3_6.json',
+};
+
+/**
+ * Wraps place arrays the way Google sends them in the /search XHR
+ * {"c":0,"d":")]}'\n[...]"}/*""*\/
+ * @param {any[]} placesData
+ */
+const buildSearchResponseBody = (placesData) => {
+    const data = ['search query', null, null, null, placesData.map((placeData) => [null, placeData])];
+    return `${JSON.stringify({ c: 0, d: `)]}'\n${JSON.stringify(data)}` })}/*""*/`;
+};
+
+/**
+ * Compares with the stored golden output or rewrites it if UPDATE_GOLDEN is set
+ * @param {string} name
+ * @param {any} actual
+ */
+const expectToMatchGolden = (name, actual) => {
+    const goldenPath = path.join(GOLDEN_DIR, `${name}.json`);
+    // We compare JSON representation because that is what ends up in the dataset
+    const normalized = JSON.parse(JSON.stringify(actual));
+    if (process.env.UPDATE_GOLDEN) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(goldenPath, `${JSON.stringify(normalized, null, 4)}\n`);
+    }
+    if (!fs.existsSync(goldenPath)) {
+        throw new Error(`Golden output ${goldenPath} is missing, run with UPDATE_GOLDEN=1 to create it`);
+    }
+    const golden = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+    expect(normalized).to.deep.equal(golden);
+};
+
+describe('Offline parsing of captured Google responses', () => {
+    describe('parseJsonResult', () => {
+        for (const [name, fileName] of Object.entries(PLACE_SAMPLES)) {
+            it(`parses ${fileName}`, () => {
+                const result = parseJsonResult(loadPlaceJsonData(fileName), false);
+                expectToMatchGolden(`place-${name}`, result);
+            });
+        }
+
+        it('extracts the basic fields from the place data', () => {
+            const result = parseJsonResult(loadPlaceJsonData(PLACE_SAMPLES.londonEye), true);
+            expect(result).to.include({ placeId: 'ChIJc2nSALkEdkgRkuoJJBfzkUI', isAdvertisement: true });
+            expect(result?.coords).to.deep.equal({ lat: 51.5032973, lng: -0.1195537 });
+            expect(result?.categories).to.deep.equal(['Tourist attraction']);
+        });
+
+        it('extracts the listing fields from the place data', () => {
+            const result = parseJsonResult(loadPlaceJsonData(PLACE_SAMPLES.londonEye), false);
+            expect(result).to.include({
+                address: 'Riverside Building, County Hall, London SE1 7PB, United Kingdom',
+                phone: '+44 20 7967 8021',
+                totalScore: 4.5,
+                reviewsCount: 130296,
+                permanentlyClosed: false,
+                openingStatus: 'Closes soon ⋅ 6PM ⋅ Opens 11AM Wed',
+            });
+            expect(parseJsonResult(loadPlaceJsonData(PLACE_SAMPLES.donerPizzeria), false)).to.include({ permanentlyClosed: true });
+        });
+
+        it('returns undefined for missing data', () => {
+            expect(parseJsonResult(undefined, false)).to.equal(undefined);
+        });
+
+        it('falls back to the secondary coordinates when the primary are missing', () => {
+            const placeData = [...loadPlaceJsonData(PLACE_SAMPLES.londonEye)];
+            placeData[9] = null;
+            const result = parseJsonResult(placeData, false);
+            expect(result?.coords).to.deep.equal({ lat: 51.5032973, lng: -0.1195537 });
+            expect(getJsonPathsReport().matchedPaths['place.coords']).to.have.property('[208,0]');
+        });
+
+        it('falls back to the secondary title and address when the primary are missing', () => {
+            const placeData = [...loadPlaceJsonData(PLACE_SAMPLES.londonEye)];
+            placeData[11] = null;
+            placeData[39] = null;
+            expect(parseJsonResult(placeData, false)).to.include({
+                title: 'lastminute.com London Eye',
+                address: 'Riverside Building, County Hall, London SE1 7PB, United Kingdom',
+            });
+            expect(getJsonPathsReport().matchedPaths['place.title']).to.have.property('[88,3]');
+            expect(getJsonPathsReport().matchedPaths['place.address']).to.have.property('[183,0,2,1,0,0]');
+        });
+    });
+
+    describe('getJsonField', () => {
+        it('skips values with unexpected type', () => {
+            expect(getJsonField([null, null, null, null, [null, null, null, null, null, null, null, '4.5']], 'place', 'totalScore'))
+                .to.equal(undefined);
+        });
+
+        it('throws for unknown fields', () => {
+            expect(() => getJsonField([], 'place', 'unknownField')).to.throw();
+        });
+    });
+
+    describe('parseSearchPlacesResponseBody', () => {
+        it('parses all places from a search response', () => {
+            const placesData = Object.values(PLACE_SAMPLES).map(loadPlaceJsonData);
+            const { placesPaginationData, error } = parseSearchPlacesResponseBody(buildSearchResponseBody(placesData), false);
+            expect(error).to.equal(null);
+            expect(placesPaginationData.map((place) => place.placeId)).to.deep.equal([
+                'ChIJc2nSALkEdkgRkuoJJBfzkUI',
+                'ChIJsfkIGMSXU0YRRtmjtjsEF0I',
+                'ChIJR4X628KXpgARbbW1FBMpJRA',
+                'ChIJhdcKmw9t5kcRkk9Ena5LFKg',
+            ]);
+            expectToMatchGolden('search-response', placesPaginationData);
+        });
+
+        it('skips duplicate places in one response', () => {
+            const londonEye = loadPlaceJsonData(PLACE_SAMPLES.londonEye);
+            const { placesPaginationData } = parseSearchPlacesResponseBody(buildSearchResponseBody([londonEye, londonEye]), false);
+            expect(placesPaginationData).to.have.lengthOf(1);
+        });
+
+        it('parses a place preview response used by all places no search', () => {
+            const preview = [null, null, null, null, null, null, loadPlaceJsonData(PLACE_SAMPLES.donerPizzeria)];
+            const { placesPaginationData, error } = parseSearchPlacesResponseBody(`)]}'\n${JSON.stringify(preview)}`, true);
+            expect(error).to.equal(null);
+            expect(placesPaginationData.map((place) => place.placeId)).to.deep.equal(['ChIJsfkIGMSXU0YRRtmjtjsEF0I']);
+        });
+
+        it('returns no places for a short metadata response', () => {
+            const { placesPaginationData, error } = parseSearchPlacesResponseBody(`)]}'\n[[[2],[3],[5],[6],[7],[9],[10]]]`, false);
+            expect(error).to.equal(null);
+            expect(placesPaginationData).to.have.lengthOf(0);
+        });
+
+        it('reports an error for blocked (HTML) responses', () => {
+            const { placesPaginationData, error } = parseSearchPlacesResponseBody('<!DOCTYPE html><html></html>', false);
+            expect(error).to.be.a('string');
+            expect(placesPaginationData).to.have.lengthOf(0);
+        });
+    });
+
+    describe('extractPopularTimes', () => {
+        it('parses the histogram', () => {
+            const result = extractPopularTimes({ jsonData: loadPlaceJsonData(PLACE_SAMPLES.londonEye) });
+            expect(Object.keys(result.popularTimesHistogram || {})).to.deep.equal(['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa']);
+            expectToMatchGolden('popular-times-londonEye', result);
+        });
+
+        it('returns empty object when place has no popular times', () => {
+            expect(extractPopularTimes({ jsonData: loadPlaceJsonData(PLACE_SAMPLES.closedGym) })).to.deep.equal({});
+        });
+    });
+
+    describe('structured opening hours', () => {
+        it('parses the days from the JSON data', () => {
+            const result = parseStructuredOpeningHours(loadPlaceJsonData(PLACE_SAMPLES.londonEye));
+            expect(result?.map((day) => day.day)).to.deep.equal([2, 3, 4, 5, 6, 7, 1]);
+            expectToMatchGolden('opening-hours-londonEye', result);
+        });
+
+        it('marks hours past midnight as overnight', () => {
+            const result = parseStructuredOpeningHours(loadPlaceJsonData(PLACE_SAMPLES.donerPizzeria));
+            expect(result?.[3]).to.deep.include({ day: 5, date: '2021-11-12', isClosed: false });
+            expect(result?.[3].intervals).to.deep.equal([{ open: '11:00', close: '04:00', overnight: true }]);
+        });
+
+        it('parses closed days, split shifts and holiday hours', () => {
+            const jsonData = [];
+            jsonData[34] = [null, [
+                ['Sunday', ['Closed'], null, null, '2021-12-19', 1, null, 0],
+                ['Monday', ['9AM–12PM', '1–5PM'], null, null, '2021-12-20', 1, [[9, 0, 12, 0], [13, 0, 17, 0]], 0],
+                ['Saturday', ['10AM–2PM'], [['Christmas Day']], null, '2021-12-25', 1, [[10, 0, 14, 0]], 1],
+            ]];
+            const [sunday, monday, christmas] = parseStructuredOpeningHours(jsonData) || [];
+            expect(sunday).to.deep.include({ day: 7, isClosed: true, intervals: [] });
+            expect(monday.intervals.map(({ open, close }) => `${open}-${close}`)).to.deep.equal(['09:00-12:00', '13:00-17:00']);
+            expect(christmas).to.deep.include({ day: 6, isSpecial: true, specialNote: 'Christmas Day' });
+        });
+
+        it('returns undefined when place has no opening hours', () => {
+            expect(parseStructuredOpeningHours(loadPlaceJsonData(PLACE_SAMPLES.closedGym))).to.equal(undefined);
+        });
+
+        it('computes isOpenNow in the place timezone', () => {
+            const londonEye = parseStructuredOpeningHours(loadPlaceJsonData(PLACE_SAMPLES.londonEye));
+            // 10:30 UTC is 11:30 in London in September
+            expect(isOpenAt(londonEye, 'Europe/London', new Date('2021-09-14T10:30:00Z'))).to.equal(true);
+            expect(isOpenAt(londonEye, 'Europe/London', new Date('2021-09-14T09:30:00Z'))).to.equal(false);
+            // Falls back to the same weekday for other weeks
+            expect(isOpenAt(londonEye, 'Europe/London', new Date('2022-09-13T10:30:00Z'))).to.equal(true);
+            expect(isOpenAt(londonEye, undefined)).to.equal(null);
+        });
+
+        it('keeps overnight hours open after midnight', () => {
+            const doner = parseStructuredOpeningHours(loadPlaceJsonData(PLACE_SAMPLES.donerPizzeria));
+            // Saturday 02:00 in Stockholm, Friday hours are 11:00-04:00
+            expect(isOpenAt(doner, 'Europe/Stockholm', new Date('2021-11-13T01:00:00Z'))).to.equal(true);
+            // Tuesday 05:00, Monday hours end at midnight
+            expect(isOpenAt(doner, 'Europe/Stockholm', new Date('2021-11-09T04:00:00Z'))).to.equal(false);
+        });
+    });
+
+    describe('reviews', () => {
+        const reviewResponse = loadSample('REVIEW-RESPONSE-2022-03-08.json');
+
+        it('parses a single review', () => {
+            const review = parseReviewFromJson(reviewResponse[2][0], 'originalAndTranslated');
+            expect(review.name).to.equal('Morteza Soorgi');
+            expect(review.publishAt).to.equal('2 years ago');
+        });
+
+        it('parses a rating without text', () => {
+            // Google sends null instead of the text when the reviewer only gave stars
+            const reviewJson = JSON.parse(JSON.stringify(reviewResponse[2][0]));
+            reviewJson[3] = null;
+            const review = parseReviewFromJson(reviewJson, 'onlyOriginal');
+            expect(review.text).to.equal(null);
+            expectToMatchGolden('review-without-text', review);
+        });
+
+        it('parses all reviews and the cursor from the response body', () => {
+            const body = `)]}'\n${JSON.stringify(reviewResponse)}`;
+            const { currentReviews, nextBatchCursor, error } = parseReviewFromResponseBody(body, 'originalAndTranslated');
+            expect(error).to.equal(undefined);
+            expect(currentReviews).to.have.lengthOf(10);
+            expect(nextBatchCursor).to.equal('CAESBkVnSUlVQQ==');
+            expectToMatchGolden('reviews-response', currentReviews);
+        });
+
+        it('reports an error for invalid body', () => {
+            const { error } = parseReviewFromResponseBody('<html></html>', 'originalAndTranslated');
+            expect(error).to.not.equal(undefined);
+        });
+
+        it('recognizes reviews known from a previous run', () => {
+            const body = `)]}'\n${JSON.stringify(reviewResponse)}`;
+            const { currentReviews = [] } = parseReviewFromResponseBody(body, 'originalAndTranslated');
+            const [review] = currentReviews;
+            const mark = { reviewId: review.reviewId, publishedAtDate: review.publishedAtDate };
+            const dayMs = 24 * 3600 * 1000;
+            const newerDate = new Date(new Date(review.publishedAtDate).getTime() + dayMs).toISOString();
+            const olderDate = new Date(new Date(review.publishedAtDate).getTime() - dayMs).toISOString();
+            expect(isKnownReview(review, mark)).to.equal(true);
+            expect(isKnownReview({ ...review, reviewId: 'new', publishedAtDate: newerDate }, mark)).to.equal(false);
+            expect(isKnownReview({ ...review, reviewId: 'old', publishedAtDate: olderDate }, mark)).to.equal(true);
+        });
+    });
+});
+
+describe('Monitoring mode', () => {
+    const place = { placeId: 'ChIJc2nSALkEdkgRkuoJJBfzkUI', title: 'London Eye', phone: '020 7967 8021', location: { lat: 51.5, lng: -0.1 }, scrapedAt: 'now' };
+
+    /** @param {Record<string, any>} previousPlaces */
+    const createCache = (previousPlaces = {}) => {
+        const placesCache = new PlacesCache({ cacheKey: 'test', useCachedPlaces: false, monitoringMode: true });
+        placesCache.allPlaces = previousPlaces;
+        return placesCache;
+    };
+
+    it('marks unknown places as new', () => {
+        expect(createCache().comparePlace(place)).to.deep.equal({ changeType: 'NEW', changes: null });
+    });
+
+    it('starts with no places in the first run', async () => {
+        const placesCache = new PlacesCache({ cacheKey: 'first-run', useCachedPlaces: false, monitoringMode: true });
+        await placesCache.initialize();
+        expect(placesCache.allPlaces).to.deep.equal({});
+        expect(placesCache.comparePlace(place)).to.deep.equal({ changeType: 'NEW', changes: null });
+    });
+
+    it('skips unchanged places and diffs the changed ones', () => {
+        const previousRun = createCache();
+        previousRun.comparePlace(place);
+
+        const currentRun = createCache(previousRun.allPlaces);
+        currentRun.runId = 'next-run';
+        expect(currentRun.comparePlace({ ...place, scrapedAt: 'later' })).to.equal(null);
+        expect(currentRun.comparePlace({ ...place, phone: '020 7967 8000' })).to.deep.equal({
+            changeType: 'CHANGED',
+            changes: { phone: { previous: '020 7967 8021', current: '020 7967 8000' } },
+        });
+    });
+
+    it('reports places not seen in this run as disappeared only once', () => {
+        const previousRun = createCache();
+        previousRun.comparePlace(place);
+
+        const currentRun = createCache(previousRun.allPlaces);
+        currentRun.runId = 'next-run';
+        const disappeared = currentRun.popDisappearedPlaces();
+        expect(disappeared).to.have.lengthOf(1);
+        expect(disappeared[0]).to.include({ placeId: place.placeId, title: 'London Eye', changeType: 'DISAPPEARED' });
+        expect(currentRun.popDisappearedPlaces()).to.have.lengthOf(0);
+    });
+
+    it('keeps each keyword of a place once across runs', () => {
+        const placesCache = createCache();
+        placesCache.addLocation(place.placeId, place.location, 'ferris wheel');
+        placesCache.addLocation(place.placeId, place.location, 'ferris wheel');
+        placesCache.addLocation(place.placeId, place.location, 'london');
+        expect(placesCache.place(place.placeId)?.keywords).to.deep.equal(['ferris wheel', 'london']);
+    });
+});
+
+describe('Place history', () => {
+    it('appends a point only when a tracked field changes', async () => {
+        /** @type {Record<string, any>} */
+        const records = {};
+        /** @type {any[]} */
+        const rows = [];
+        const placeHistory = new PlaceHistory({ keepPlaceHistory: true });
+        // In-memory stand-ins for the named storages
+        placeHistory.store = /** @type {any} */ ({
+            getValue: async (/** @type {string} */ key) => records[key] || null,
+            setValue: async (/** @type {string} */ key, /** @type {any} */ value) => { records[key] = value; },
+        });
+        placeHistory.dataset = /** @type {any} */ ({ pushData: async (/** @type {any} */ row) => { rows.push(row); } });
+
+        const place = { placeId: 'ChIJc2nSALkEdkgRkuoJJBfzkUI', title: 'London Eye', totalScore: 4.5, reviewsCount: 100, phone: '020 7967 8021' };
+        await placeHistory.addSnapshot({ ...place, scrapedAt: '2022-01-01T00:00:00.000Z' });
+        await placeHistory.addSnapshot({ ...place, scrapedAt: '2022-01-08T00:00:00.000Z' });
+        await placeHistory.addSnapshot({ ...place, totalScore: 4.4, scrapedAt: '2022-01-15T00:00:00.000Z' });
+
+        const history = await placeHistory.getHistory(place.placeId);
+        expect(history?.points.map((point) => [point.scrapedAt, point.totalScore])).to.deep.equal([
+            ['2022-01-01T00:00:00.000Z', 4.5],
+            ['2022-01-15T00:00:00.000Z', 4.4],
+        ]);
+        expect(rows).to.have.lengthOf(2);
+        expect(rows[1]).to.include({ placeId: place.placeId, title: 'London Eye', totalScore: 4.4, permanentlyClosed: null });
+    });
+});
+
+describe('Adaptive splitting', () => {
+    const cell = { lat: 51.5, lng: -0.12, zoom: 14 };
+
+    it('splits a cell into 4 quarters one zoom level closer', () => {
+        const children = splitSearchCell(cell, undefined);
+        expect(children).to.have.lengthOf(4);
+        expect(children.every((child) => child.zoom === 15)).to.equal(true);
+        expect(children.filter((child) => child.lat > cell.lat && child.lng > cell.lng)).to.have.lengthOf(1);
+        expect(children.filter((child) => child.lat < cell.lat && child.lng < cell.lng)).to.have.lengthOf(1);
+    });
+
+    it('leaves out quarters outside of the searched area', () => {
+        // Only an area north-east of the center
+        const geolocation = /** @type {any} */ ({
+            type: 'Polygon',
+            coordinates: [[[-0.1, 51.51], [-0.05, 51.51], [-0.05, 51.55], [-0.1, 51.55], [-0.1, 51.51]]],
+        });
+        const children = splitSearchCell(cell, geolocation);
+        expect(children).to.have.lengthOf(1);
+        expect(children[0].lat).to.be.above(cell.lat);
+        expect(children[0].lng).to.be.above(cell.lng);
+    });
+
+    it('replaces the viewport in search URLs', () => {
+        const url = 'https://www.google.com/maps/@51.5,-0.12,14z/search/restaurant';
+        expect(parseMapViewportFromUrl(url)).to.deep.equal(cell);
+        expect(replaceMapViewportInUrl(url, { lat: 51.51, lng: -0.11, zoom: 15 }))
+            .to.equal('https://www.google.com/maps/@51.51,-0.11,15z/search/restaurant');
+    });
+});
+
+describe('Search coverage', () => {
+    it('exports searched cells as GeoJSON', () => {
+        const stats = new Stats();
+        const searchCoverage = {
+            url: 'https://www.google.com/maps/@51.5,-0.12,14z/search/restaurant',
+            uniqueKey: 'https://www.google.com/maps/@51.5,-0.12,14z/search/restaurant',
+            searchString: 'restaurant',
+            lat: 51.5,
+            lng: -0.12,
+            zoom: 14,
+            finalZoom: 13,
+            found: 120,
+            enqueued: 118,
+            capHit: true,
+            autoZoomedOut: true,
+            splitFromUrl: null,
+        };
+        stats.addSearchCoverage(searchCoverage);
+        // Retried search overwrites the previous attempt
+        stats.addSearchCoverage(searchCoverage);
+        // Overlapping area searches the same map view
+        stats.addSearchCoverage({ ...searchCoverage, uniqueKey: `Soho: ${searchCoverage.url}`, found: 80 });
+        stats.addSearchCoverage({
+            ...searchCoverage,
+            url: 'https://www.google.com/maps/search/restaurant',
+            uniqueKey: 'https://www.google.com/maps/search/restaurant',
+            lat: null,
+            lng: null,
+            zoom: null,
+        });
+
+        const { type, features } = stats.getSearchCoverageGeoJson();
+        expect(type).to.equal('FeatureCollection');
+        expect(features).to.have.lengthOf(3);
+        expect(features[1].properties.found).to.equal(80);
+        expect(features[0].properties).to.deep.equal(searchCoverage);
+        expect(features[0].geometry?.type).to.equal('Polygon');
+        const [west, south, east, north] = turf.bbox(features[0].geometry);
+        expect(west).to.be.below(-0.12);
+        expect(east).to.be.above(-0.12);
+        expect(south).to.be.below(51.5);
+        expect(north).to.be.above(51.5);
+        expect(features[2].geometry).to.equal(null);
+    });
+
+    it('keeps one cell for a retried search', () => {
+        const stats = new Stats();
+        const url = 'https://www.google.com/maps/@51.5,-0.12,14z/search/restaurant';
+        const searchCoverage = {
+            url, uniqueKey: url, searchString: 'restaurant', lat: 51.5, lng: -0.12, zoom: 14, finalZoom: 14,
+            found: 40, enqueued: 40, capHit: false, autoZoomedOut: false, splitFromUrl: null,
+        };
+        stats.addSearchCoverage(searchCoverage);
+        stats.addSearchCoverage({ ...searchCoverage, found: 42, enqueued: 42 });
+
+        const { features } = stats.getSearchCoverageGeoJson();
+        expect(features).to.have.lengthOf(1);
+        expect(features[0].properties).to.include({ found: 42, enqueued: 42 });
+    });
+});
+
+describe('Offline boundaries', () => {
+    const boundaryFile = path.join(os.tmpdir(), 'google-maps-boundaries-test.json');
+    /**
+     * @param {Record<string, any>} properties
+     * @param {number} lng
+     * @param {number} lat
+     */
+    const square = (properties, lng, lat) => {
+        const { geometry } = turf.bboxPolygon([lng, lat, lng + 0.1, lat + 0.1]);
+        return turf.polygon(geometry.coordinates, properties);
+    };
+
+    before(() => {
+        const featureCollection = turf.featureCollection([
+            square({ name: 'Zurich', type: 'city', country: 'Switzerland', countryCode: 'CH', population: 420000, osmId: 1682248 }, 8.5, 47.3),
+            square({ name: 'Zürich', type: 'city', country: 'Fictionland', countryCode: 'FL' }, 1, 1),
+            square({ name: 'Springfield', type: 'city', country: 'United States', state: 'Illinois' }, -89.7, 39.7),
+        ]);
+        fs.writeFileSync(boundaryFile, JSON.stringify(featureCollection));
+    });
+
+    after(() => {
+        fs.unlinkSync(boundaryFile);
+    });
+
+    it('finds a city ignoring accents and filtered by country', async () => {
+        const boundaryProvider = createBoundaryProvider({ boundaryProvider: 'geojsonFile', boundaryFile });
+        const candidates = await getGeolocationCandidates({ city: 'zürich', country: 'ch' }, boundaryProvider);
+        expect(candidates).to.have.lengthOf(1);
+        const geolocation = pickGeolocation(candidates, { country: 'ch' });
+        expect(geolocation.display_name).to.equal('Zurich, Switzerland');
+        expect(geolocation.geojson?.type).to.equal('Polygon');
+        expect(geolocation.boundingbox?.map(Number)).to.deep.equal([47.3, 47.4, 8.5, 8.6]);
+        expect(geolocation.osm_id).to.equal(1682248);
+        expect(geolocation.population).to.equal(420000);
+    });
+
+    it('does not match a boundary from a different parent area', async () => {
+        const boundaryProvider = createBoundaryProvider({ boundaryProvider: 'geojsonFile', boundaryFile });
+        expect(await boundaryProvider.search({ city: 'Springfield', state: 'Oregon' }, 1)).to.deep.equal([]);
+        expect(await boundaryProvider.search({ city: 'Springfield', country: 'United States' }, 1)).to.have.lengthOf(1);
+        expect(() => createBoundaryProvider({ boundaryProvider: 'geojsonFile' })).to.throw('boundaryFile');
+    });
+});
+
+describe('Geolocation disambiguation', () => {
+    /**
+     * @param {number} osmId
+     * @param {string} displayName
+     * @param {number} [population]
+     * @param {string} [countryCode]
+     */
+    const candidate = (osmId, displayName, population, countryCode) => ({
+        geojson: undefined, boundingbox: undefined, display_name: displayName, osm_id: osmId, population, country_code: countryCode,
+    });
+    const springfields = [
+        candidate(1, 'Springfield, Illinois, United States', 114394, 'us'),
+        candidate(2, 'Springfield, Missouri, United States', 169176, 'us'),
+        candidate(3, 'Springfield, Queensland, Australia', 9000, 'au'),
+    ];
+
+    it('fails with a listing when the matches are ambiguous', () => {
+        expect(() => pickGeolocation(springfields, {}))
+            .to.throw(/Found 3 locations[\s\S]*osmId: 2 \| Springfield, Missouri, United States \| type: unknown \| population: 169176/);
+        expect(() => pickGeolocation(springfields, { osmId: 4 })).to.throw('No location matches osmId 4');
+    });
+
+    it('picks by osmId, country and population', () => {
+        expect(pickGeolocation(springfields, { osmId: '2' }).osm_id).to.equal(2);
+        expect(pickGeolocation(springfields, { country: 'AU' }).osm_id).to.equal(3);
+        // Paris, France is much bigger than Paris, Texas
+        const paris = [candidate(10, 'Paris, Texas, United States', 24476, 'us'), candidate(11, 'Paris, France', 2145906, 'fr')];
+        expect(pickGeolocation(paris, {}).osm_id).to.equal(11);
+        expect(pickGeolocation([candidate(12, 'Bremerhaven, Germany')], {}).osm_id).to.equal(12);
+    });
+
+    it('prefers the polygon boundary of the same place', () => {
+        const cityNode = { ...candidate(20, 'Brno, Czechia'), osm_type: 'node', geojson: { type: 'Point', coordinates: [16.6, 49.2], geometry: undefined } };
+        const cityRelation = { ...candidate(21, 'Brno, Czechia'), osm_type: 'relation', geojson: { type: 'Polygon', coordinates: [], geometry: undefined } };
+        expect(pickGeolocation([cityNode, cityRelation], {}).osm_id).to.equal(21);
+        expect(pickGeolocation([cityNode, { ...cityNode }], {}).osm_id).to.equal(20);
+        // Different places with the same osm_id are still ambiguous
+        const otherPlace = { ...candidate(20, 'Brno-venkov, Czechia'), osm_type: 'way' };
+        expect(() => pickGeolocation([cityNode, otherPlace], {})).to.throw('Found 2 locations');
+    });
+});
+
+describe('Radius search', () => {
+    it('searches and filters a circle around the point', async () => {
+        const { startUrlSearches, geolocation } = await prepareSearchUrlsAndGeo({
+            lat: '51.5', lng: '-0.12', radiusKm: 5, userOverridingZoom: undefined,
+            country: undefined, state: undefined, county: undefined, city: undefined, postalCode: undefined, customGeolocation: undefined,
+        });
+        expect(geolocation?.type).to.equal('Polygon');
+        expect(startUrlSearches.length).to.be.above(1);
+        expect(startUrlSearches.every((url) => url.endsWith(',14z/search'))).to.equal(true);
+        // ~3.5 km and ~7 km to the north
+        expect(checkInPolygon(geolocation, { lat: 51.53, lng: -0.12 })).to.equal(true);
+        expect(checkInPolygon(geolocation, { lat: 51.56, lng: -0.12 })).to.equal(false);
+    });
+});
+
+describe('Route corridor search', () => {
+    it('decodes encoded polylines', () => {
+        // Example from the Google documentation
+        expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).to.deep.equal([[-120.2, 38.5], [-120.95, 40.7], [-126.453, 43.252]]);
+    });
+
+    it('searches along the whole route and filters by the distance from it', async () => {
+        // ~40 km to the east
+        const route = { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-0.12, 51.5], [0.46, 51.5]] } };
+        const geolocation = getRouteGeolocation({ route, bufferKm: 2 });
+        const points = await findPointsInPolygon(geolocation, 14);
+        // Every part of the route is searched, not only its ends
+        expect(points.some(({ lon }) => lon > 0.1 && lon < 0.2)).to.equal(true);
+        expect(checkInPolygon(geolocation, { lat: 51.51, lng: 0.17 })).to.equal(true);
+        expect(checkInPolygon(geolocation, { lat: 51.53, lng: 0.17 })).to.equal(false);
+    });
+});
+
+describe('Multiple areas', () => {
+    it('counts the limits of each area separately', () => {
+        const url = 'https://www.google.com/maps/@40.75,-73.99,16z/search/dentist';
+        expect(getSearchKey('dentist', /** @type {any} */ ({ url, userData: {} }))).to.equal('dentist');
+        expect(getSearchKey('dentist', /** @type {any} */ ({ url, userData: { areaLabel: '10001' } }))).to.equal('10001: dentist');
+        expect(getSearchKey('', /** @type {any} */ ({ url, userData: {} }))).to.equal(url);
+    });
+
+    it('validates the areas', () => {
+        const searchStringsArray = ['dentist'];
+        expect(() => validateInput({ searchStringsArray, areas: [{ label: '10001', postalCode: '10001' }, { label: '10002', postalCode: '10002' }] }))
+            .to.not.throw();
+        expect(() => validateInput({ searchStringsArray, areas: [{ label: '10001', postalCode: '10001' }, { label: '10001', postalCode: '10002' }] }))
+            .to.throw('unique');
+        expect(() => validateInput({ searchStringsArray, areas: [/** @type {any} */ ({ postalCode: '10001' })] }))
+            .to.throw('label');
+        expect(() => validateInput({ searchStringsArray, areas: [{ label: 'Nowhere' }] }))
+            .to.throw('where to search');
+    });
+});
+
+describe('Excluded area', () => {
+    const geolocation = { type: 'Polygon', coordinates: [[[13.2, 52.4], [13.6, 52.4], [13.6, 52.6], [13.2, 52.6], [13.2, 52.4]]], geometry: undefined };
+    // The middle of the search area
+    const excludeGeolocation = { type: 'Polygon', coordinates: [[[13.3, 52.45], [13.5, 52.45], [13.5, 52.55], [13.3, 52.55], [13.3, 52.45]]], geometry: undefined };
+
+    it('rejects places in the excluded area with a reason', () => {
+        expect(getOutOfPolygonReason(geolocation, { lat: 52.5, lng: 13.4 }, excludeGeolocation)).to.equal('inExcludedArea');
+        expect(getOutOfPolygonReason(geolocation, { lat: 52.7, lng: 13.4 }, excludeGeolocation)).to.equal('outsideSearchArea');
+        expect(getOutOfPolygonReason(geolocation, { lat: 52.42, lng: 13.4 }, excludeGeolocation)).to.equal(null);
+        expect(checkInPolygon(geolocation, { lat: 52.5, lng: 13.4 }, excludeGeolocation)).to.equal(false);
+        // Excluded area works even without a search area
+        expect(checkInPolygon(undefined, { lat: 52.5, lng: 13.4 }, excludeGeolocation)).to.equal(false);
+    });
+
+    it('skips searches with the whole map view in the excluded area', async () => {
+        const allPoints = await findPointsInPolygon(geolocation, 15);
+        const points = await findPointsInPolygon(geolocation, 15, excludeGeolocation);
+        expect(points.length).to.be.below(allPoints.length);
+        expect(points.some(({ lat, lon }) => lat > 52.47 && lat < 52.53 && lon > 13.33 && lon < 13.47)).to.equal(false);
+        // Cells on the border of the excluded area are still searched
+        expect(points.some(({ lat, lon }) => lat > 52.44 && lat < 52.46 && lon > 13.33 && lon < 13.47)).to.equal(true);
+    });
+});
+
+describe('Cassette', () => {
+    const searchRequest = new Apify.Request({ url: 'https://www.google.com/maps/search/london+eye', userData: { label: 'SEARCH' } });
+    const placeRequest = new Apify.Request({
+        url: 'https://www.google.com/maps/place/?q=place_id:ChIJc2nSALkEdkgRkuoJJBfzkUI',
+        uniqueKey: 'ChIJc2nSALkEdkgRkuoJJBfzkUI',
+        userData: { label: 'PLACE' },
+    });
+    const redirectedPlaceUrl = 'https://www.google.com/maps/place/London+Eye/@51.503324,-0.119543,17z';
+    const placeHtml = `<html><body><script>${JSON.stringify(loadPlaceJsonData(PLACE_SAMPLES.londonEye))}</script></body></html>`;
+
+    /**
+     * The part of Puppeteer.Page that the cassette uses
+     */
+    const createPage = () => {
+        const page = new EventEmitter();
+        const mainFrame = {};
+        return Object.assign(page, {
+            url: () => redirectedPlaceUrl,
+            content: async () => placeHtml,
+            mainFrame: () => mainFrame,
+            setRequestInterception: async () => {},
+        });
+    };
+
+    /**
+     * Resolves with how the replay answered the request
+     * @param {any} page
+     * @param {string} url
+     * @param {boolean} isNavigation
+     * @returns {Promise<any>}
+     */
+    const interceptRequest = (page, url, isNavigation = true) => new Promise((resolve) => {
+        page.emit('request', {
+            url: () => url,
+            isNavigationRequest: () => isNavigation,
+            frame: () => page.mainFrame(),
+            respond: async (/** @type {any} */ response) => resolve(response),
+            abort: async () => resolve('aborted'),
+        });
+    });
+
+    it('replays the recorded search responses and place pages', async () => {
+        const searchResponseBody = buildSearchResponseBody([loadPlaceJsonData(PLACE_SAMPLES.londonEye)]);
+        const recording = new Cassette({ mode: 'record', name: 'london eye' });
+        await recording.initialize();
+        recording.startSearchRecording(searchRequest.uniqueKey, searchRequest.url);
+        await recording.recordSearchResponse(searchRequest.uniqueKey, { url: 'https://www.google.com/search?tbm=map', status: 200, body: searchResponseBody });
+        await recording.recordPlacePage(placeRequest.uniqueKey, /** @type {any} */ (createPage()));
+        const store = await Apify.openKeyValueStore('cassette-london-eye');
+        expect(await store.getValue(recording.recordKey('PLACE', placeRequest.uniqueKey))).to.deep.equal({ url: redirectedPlaceUrl, html: placeHtml });
+
+        const replay = new Cassette({ mode: 'replay', name: 'london eye' });
+        await replay.initialize();
+        const [searchResponse] = await replay.getSearchResponses(searchRequest.uniqueKey);
+        expect(searchResponse.status()).to.equal(200);
+        const { placesPaginationData } = parseSearchPlacesResponseBody(await searchResponse.text(), false);
+        expect(placesPaginationData.map((place) => place.placeId)).to.deep.equal(['ChIJc2nSALkEdkgRkuoJJBfzkUI']);
+
+        const page = createPage();
+        await replay.setUpReplay(/** @type {any} */ (page), placeRequest);
+        // Google's redirect to the URL with coordinates is replayed too
+        expect(await interceptRequest(page, placeRequest.url)).to.deep.equal({ status: 302, headers: { location: redirectedPlaceUrl } });
+        expect(await interceptRequest(page, redirectedPlaceUrl)).to.deep.equal({ status: 200, contentType: 'text/html', body: placeHtml });
+        // Nothing else leaves the machine
+        expect(await interceptRequest(page, 'https://www.google.com/maps/preview/photo', false)).to.equal('aborted');
+
+        // Search pages only need an empty document, the XHRs come from the cassette
+        const searchPage = createPage();
+        await replay.setUpReplay(/** @type {any} */ (searchPage), searchRequest);
+        expect(await interceptRequest(searchPage, searchRequest.url)).to.include({ status: 200, contentType: 'text/html' });
+    });
+
+    it('fails requests that were not recorded', async () => {
+        const replay = new Cassette({ mode: 'replay', name: 'empty' });
+        await replay.initialize();
+        const otherSearchRequest = new Apify.Request({ url: 'https://www.google.com/maps/search/pizza', userData: { label: 'SEARCH' } });
+        const otherPlaceRequest = new Apify.Request({ url: 'https://www.google.com/maps/place/?q=place_id:ChIJ1', uniqueKey: 'ChIJ1', userData: { label: 'PLACE' } });
+        const searchError = await replay.getSearchResponses(otherSearchRequest.uniqueKey).catch((err) => err);
+        expect(searchError.message).to.include('Nothing recorded');
+        const placeError = await replay.setUpReplay(/** @type {any} */ (createPage()), otherPlaceRequest).catch((err) => err);
+        expect(placeError.message).to.include('Nothing recorded');
+    });
+});
+
+describe('Place provenance', () => {
+    it('keeps all searches that found the place', () => {
+        const placeProvenance = new PlaceProvenance({ includeFoundInSearches: true });
+        const pizzaSearch = { searchString: 'pizza', rank: 3, searchPageUrl: 'https://www.google.com/maps/search/pizza/@40.75,-73.99,16z', areaLabel: undefined };
+        placeProvenance.addSearch('ChIJ1', pizzaSearch);
+        placeProvenance.addSearch('ChIJ1', { ...pizzaSearch, searchString: 'italian restaurant', rank: 11 });
+        // Retried search page replaces its previous result
+        placeProvenance.addSearch('ChIJ1', { ...pizzaSearch, rank: 2 });
+
+        expect(placeProvenance.getSearches('ChIJ1')).to.deep.equal([
+            { ...pizzaSearch, rank: 2 },
+            { ...pizzaSearch, searchString: 'italian restaurant', rank: 11 },
+        ]);
+        expect(placeProvenance.getSearches('ChIJ2')).to.deep.equal([]);
+    });
+
+    it('pushes the searches of each place at the end of the run', async () => {
+        const placeProvenance = new PlaceProvenance({ includeFoundInSearches: true });
+        const pizzaSearch = { searchString: 'pizza', rank: 3, searchPageUrl: 'https://www.google.com/maps/search/pizza/@40.75,-73.99,16z', areaLabel: undefined };
+        placeProvenance.addSearch('ChIJ1', pizzaSearch);
+        // Found after the place was scraped
+        placeProvenance.addSearch('ChIJ1', { ...pizzaSearch, searchString: 'italian restaurant', rank: 11 });
+        await placeProvenance.pushFoundInSearches();
+
+        const { items } = await (await Apify.openDataset('found-in-searches')).getData();
+        expect(items).to.deep.equal([{
+            placeId: 'ChIJ1',
+            foundInSearches: [
+                { searchString: 'pizza', rank: 3, searchPageUrl: pizzaSearch.searchPageUrl },
+                { searchString: 'italian restaurant', rank: 11, searchPageUrl: pizzaSearch.searchPageUrl },
+            ],
+        }]);
+    });
+
+    it('pushes the searches once when the run is aborted', async () => {
+        const placeProvenance = new PlaceProvenance({ includeFoundInSearches: true });
+        const events = new EventEmitter();
+        await placeProvenance.initialize(events);
+        placeProvenance.addSearch('ChIJaborted', { searchString: 'pizza', rank: 1, searchPageUrl: 'https://www.google.com/maps/search/pizza', areaLabel: undefined });
+        await Promise.all(events.listeners('aborting').map((listener) => listener()));
+        // The end of the run doesn't push it again
+        await placeProvenance.pushFoundInSearches();
+
+        const { items } = await (await Apify.openDataset('found-in-searches')).getData();
+        expect(items.filter(({ placeId }) => placeId === 'ChIJaborted')).to.have.lengthOf(1);
+    });
+
+    it('does nothing by default', () => {
+        const placeProvenance = new PlaceProvenance({});
+        placeProvenance.addSearch('ChIJ1', { searchString: 'pizza', rank: 3, searchPageUrl: '', areaLabel: undefined });
+        expect(placeProvenance.getSearches('ChIJ1')).to.deep.equal([]);
+    });
+});
+
+describe('Local rank tracking', () => {
+    it('searches from a square grid around the point', () => {
+        const points = getRankTrackingGrid({ lat: 51.5, lng: -0.12, gridSize: 3, gridSpacingMeters: 1000 });
+        expect(points.length).to.equal(9);
+        const center = points[4];
+        expect(center).to.deep.equal({ row: 1, column: 1, lat: 51.5, lng: -0.12 });
+        // Row 0 is the north, column 0 is the west
+        expect(points[0].lat).to.be.above(center.lat);
+        expect(points[0].lng).to.be.below(center.lng);
+        expect(turf.distance([center.lng, center.lat], [points[5].lng, points[5].lat])).to.be.closeTo(1, 0.001);
+
+        const requests = createRankTrackingStartRequests({ lat: 51.5, lng: -0.12, gridSize: 3, gridSpacingMeters: 1000, zoom: 15, searchString: 'dentist' });
+        expect(requests[4].url).to.equal('https://www.google.com/maps/@51.5,-0.12,15z/search/dentist');
+        expect(requests[4].userData.rankTrackingPoint).to.deep.equal(center);
+    });
+
+    it('records the best rank of the tracked place and colors the heatmap', () => {
+        const rankTracker = new RankTracker({ businessName: 'Café  Nero', maxRank: 20 });
+        const foundRequest = /** @type {any} */ ({
+            url: 'https://www.google.com/maps/@51.5,-0.12,15z/search/coffee',
+            uniqueKey: 'https://www.google.com/maps/@51.5,-0.12,15z/search/coffee',
+            userData: { rankTrackingPoint: { row: 0, column: 1, lat: 51.5, lng: -0.12 } },
+        });
+        const notFoundRequest = /** @type {any} */ ({
+            url: 'https://www.google.com/maps/@51.5,-0.13,15z/search/coffee',
+            uniqueKey: 'https://www.google.com/maps/@51.5,-0.13,15z/search/coffee',
+            userData: { rankTrackingPoint: { row: 0, column: 0, lat: 51.5, lng: -0.13 } },
+        });
+
+        rankTracker.addSearchResult(foundRequest, 1, { placeId: 'ChIJ1', title: 'Costa Coffee' });
+        expect(rankTracker.shouldStopScrolling(foundRequest, 20)).to.equal(true);
+        expect(rankTracker.shouldStopScrolling(foundRequest, 1)).to.equal(false);
+        rankTracker.addSearchResult(foundRequest, 5, { placeId: 'ChIJ2', title: 'CAFE NERO' });
+        rankTracker.addSearchResult(foundRequest, 7, { placeId: 'ChIJ2', title: 'Cafe Nero' });
+        expect(rankTracker.shouldStopScrolling(foundRequest, 7)).to.equal(true);
+        rankTracker.finishSearch(foundRequest, 'coffee', 7);
+        rankTracker.finishSearch(notFoundRequest, 'coffee', 20);
+
+        const heatmap = rankTracker.getHeatmapGeoJson();
+        expect(heatmap.features.map(({ properties }) => [properties.rank, properties['marker-color']])).to.deep.equal([
+            [null, '#d73027'],
+            [5, '#fee08b'],
+        ]);
+        expect(heatmap.features[1].geometry.coordinates).to.deep.equal([-0.12, 51.5]);
+    });
+
+    it('restores the finished searches after migration', async () => {
+        const rankTracker = new RankTracker({ placeId: 'ChIJ1' });
+        // The preNavigation hook adds the language to the URL
+        const request = /** @type {any} */ ({
+            url: 'https://www.google.com/maps/@51.5,-0.12,15z/search/coffee?hl=en',
+            uniqueKey: 'https://www.google.com/maps/@51.5,-0.12,15z/search/coffee',
+            userData: { rankTrackingPoint: { row: 0, column: 1, lat: 51.5, lng: -0.12 } },
+        });
+        rankTracker.addSearchResult(request, 2, { placeId: 'ChIJ1' });
+        rankTracker.finishSearch(request, 'coffee', 2);
+        await rankTracker.persist();
+
+        const migratedRankTracker = new RankTracker({ placeId: 'ChIJ1' });
+        await migratedRankTracker.initialize(new EventEmitter());
+        expect(migratedRankTracker.results[request.uniqueKey]).to.include({ rank: 2, searchPageUrl: request.url });
+        // The search is retried after the migration and replaces its previous result
+        migratedRankTracker.addSearchResult(request, 3, { placeId: 'ChIJ1' });
+        migratedRankTracker.finishSearch(request, 'coffee', 3);
+        expect(migratedRankTracker.getSortedResults().map(({ rank }) => rank)).to.deep.equal([3]);
+    });
+
+    it('needs the center of the grid', () => {
+        expect(() => validateInput({ searchStringsArray: ['coffee'], rankTrackingPlaceId: 'ChIJ1' })).to.throw('lat and lng');
+        expect(() => validateInput({ searchStringsArray: ['coffee'], rankTrackingPlaceId: 'ChIJ1', lat: '51.5', lng: '-0.12' })).to.not.throw();
+    });
+});
+
+describe('Sponsored results report', () => {
+    it('groups the ads of a search by advertiser', () => {
+        const sponsoredResults = new SponsoredResults({ sponsoredResultsReport: true });
+        const url = 'https://www.google.com/maps/@40.75,-73.99,16z/search/dentist';
+        const request = /** @type {any} */ ({ url, uniqueKey: url, userData: { searchString: 'dentist' } });
+        const smileAd = /** @type {any} */ ({ placeId: 'ChIJ1', title: 'Smile Dental', categories: ['Dentist'], isAdvertisement: true });
+        const brightAd = /** @type {any} */ ({ placeId: 'ChIJ2', title: 'Bright Teeth', categories: ['Dentist'], isAdvertisement: true });
+
+        sponsoredResults.addAd(request, { placePaginationData: brightAd, rank: 1, adSlot: 1, pageNum: 1 });
+        sponsoredResults.addAd(request, { placePaginationData: smileAd, rank: 2, adSlot: 2, pageNum: 1 });
+        sponsoredResults.addAd(request, { placePaginationData: smileAd, rank: 21, adSlot: 1, pageNum: 2 });
+
+        const searchAds = sponsoredResults.getSearchAds(request);
+        expect(searchAds.map(({ title, appearancesCount, bestAdSlot, bestRank }) => ({ title, appearancesCount, bestAdSlot, bestRank }))).to.deep.equal([
+            { title: 'Bright Teeth', appearancesCount: 1, bestAdSlot: 1, bestRank: 1 },
+            { title: 'Smile Dental', appearancesCount: 2, bestAdSlot: 1, bestRank: 2 },
+        ]);
+        expect(searchAds[1].appearances).to.deep.equal([{ pageNum: 1, adSlot: 2, rank: 2 }, { pageNum: 2, adSlot: 1, rank: 21 }]);
+        expect(searchAds[1]).to.include({ searchString: 'dentist', lat: 40.75, lng: -73.99, zoom: 16 });
+
+        // Retried search starts from scratch
+        sponsoredResults.startSearch(request);
+        expect(sponsoredResults.getSearchAds(request)).to.deep.equal([]);
+    });
+});
+
+describe('Competitor comparison', () => {
+    const seedRequest = /** @type {any} */ ({ url: 'https://www.google.com/maps/place/?q=place_id:ChIJseed', userData: { isCompetitorSeed: true } });
+    const competitorRequest = /** @type {any} */ ({ url: 'https://www.google.com/maps/place/?q=place_id:ChIJ1', userData: {} });
+    const seed = {
+        placeId: 'ChIJseed', title: 'Our Pizzeria', url: seedRequest.url, categories: ['Pizza restaurant'],
+        location: { lat: 40.75, lng: -73.99 }, totalScore: 4.6, reviewsCount: 320, price: '$$',
+    };
+
+    it('searches the categories of the seed place around it', async () => {
+        const competitorComparison = new CompetitorComparison({ competitorsRadiusKm: 2 });
+        const searchRequests = await competitorComparison.addPlace(seed, seedRequest);
+        expect(searchRequests.length).to.be.at.least(1);
+        expect(searchRequests[0].url).to.match(/,14z\/search\/Pizza restaurant$/);
+        expect(searchRequests[0].userData).to.deep.include({ searchString: 'Pizza restaurant', competitorsOfPlaceId: 'ChIJseed' });
+        // Only places in the circle are accepted
+        const geolocation = competitorComparison.getSearchGeolocation('ChIJseed');
+        expect(checkInPolygon(geolocation, { lat: 40.76, lng: -73.99 })).to.equal(true);
+        expect(checkInPolygon(geolocation, { lat: 40.8, lng: -73.99 })).to.equal(false);
+        // Competitor searches of each seed have their own limits
+        expect(getSearchKey('Pizza restaurant', /** @type {any} */ (searchRequests[0]))).to.equal('ChIJseed: Pizza restaurant');
+    });
+
+    it('skips seed places without location', async () => {
+        const competitorComparison = new CompetitorComparison({ competitorsRadiusKm: 2 });
+        const searchRequests = await competitorComparison.addPlace({ ...seed, location: { lat: 40.75, lng: null } }, seedRequest);
+        expect(searchRequests).to.deep.equal([]);
+        expect(competitorComparison.getSearchGeolocation('ChIJseed')).to.equal(undefined);
+    });
+
+    it('compares the seed place with competitors in the same categories', async () => {
+        const competitorComparison = new CompetitorComparison({ competitorsRadiusKm: 2 });
+        await competitorComparison.addPlace(seed, seedRequest);
+        const competitor = { ...seed, url: competitorRequest.url, price: '$' };
+        await competitorComparison.addPlace({ ...competitor, placeId: 'ChIJ1', title: 'Joe\'s Pizza', location: { lat: 40.755, lng: -73.99 }, totalScore: 4.5, reviewsCount: 5400 }, competitorRequest);
+        await competitorComparison.addPlace({ ...competitor, placeId: 'ChIJ2', title: 'Slice', location: { lat: 40.751, lng: -73.99 }, totalScore: 4.6, reviewsCount: 12 }, competitorRequest);
+        // Other category and too far away
+        await competitorComparison.addPlace({ ...competitor, placeId: 'ChIJ3', categories: ['Bakery'] }, competitorRequest);
+        await competitorComparison.addPlace({ ...competitor, placeId: 'ChIJ4', location: { lat: 40.9, lng: -73.99 } }, competitorRequest);
+
+        const comparison = competitorComparison.getComparison(competitorComparison.seeds.ChIJseed);
+        expect(comparison.competitors.map(({ placeId, distanceKm }) => ({ placeId, distanceKm }))).to.deep.equal([
+            { placeId: 'ChIJ2', distanceKm: 0.11 },
+            { placeId: 'ChIJ1', distanceKm: 0.56 },
+        ]);
+        expect(comparison).to.include({ competitorsCount: 2, totalScorePercentile: 75, reviewsCountPercentile: 50 });
+    });
+
+    it('needs the seed places', () => {
+        expect(() => validateInput({ searchStringsArray: ['pizza'], competitorsRadiusKm: 2 })).to.throw('place_id');
+        expect(() => validateInput({ searchStringsArray: ['place_id:ChIJseed'], competitorsRadiusKm: 2 })).to.not.throw();
+    });
+});
+
+describe('Output sinks', () => {
+    const place = {
+        placeId: 'ChIJ1', title: 'Joe\'s "Pizza", NYC', categoryName: 'Pizza restaurant', location: { lat: 40.75, lng: -73.99 },
+        totalScore: 4.5, reviewsCount: 2, imageUrls: ['https://example.com/1.jpg'],
+        reviews: [
+            { reviewId: 'r1', name: 'Ann', stars: 5, text: 'Great\nslice' },
+            { reviewId: 'r2', name: 'Bob', stars: 4, text: 'Good' },
+        ],
+    };
+    const failedRequestItem = { '#url': 'https://www.google.com/maps/search/pizza', '#succeeded': false };
+    /** @type {string} */
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'output-sinks-'));
+    });
+
+    it('writes one CSV row per review', () => {
+        const sink = createOutputSink('csv', directory);
+        sink.write([place, failedRequestItem, { ...place, placeId: 'ChIJ2', reviews: [] }]);
+        const csv = sink.getContent().toString();
+        expect(csv.startsWith('placeId,title,')).to.equal(true);
+        expect(csv).to.include('ChIJ1,"Joe\'s ""Pizza"", NYC",Pizza restaurant');
+        expect(csv).to.include(',r1,Ann,5,,,"Great\nslice",');
+        expect(csv).to.include(',r2,Bob,4,,,Good,');
+        // The place without reviews has one row, the failed request is not a place
+        expect(csv.match(/^ChIJ/gm)).to.have.lengthOf(3);
+        expect(csv).to.not.include('#url');
+        // Restored file is appended to, the header is not repeated
+        createOutputSink('csv', directory).write([{ ...place, placeId: 'ChIJ3', reviews: [] }]);
+        expect(sink.getContent().toString().match(/^placeId,/gm)).to.have.lengthOf(1);
+    });
+
+    it('writes every item to NDJSON', () => {
+        const sink = createOutputSink('ndjson', directory);
+        sink.write([place, failedRequestItem]);
+        const lines = sink.getContent().toString().trim().split('\n');
+        expect(lines.map((line) => JSON.parse(line))).to.deep.equal([place, failedRequestItem]);
+    });
+
+    it('writes places with location as GeoJSON points', () => {
+        const sink = createOutputSink('geojson', directory);
+        sink.write([place, failedRequestItem, { placeId: 'ChIJ2', title: 'No location' }]);
+        const geojson = JSON.parse(sink.getContent().toString());
+        expect(geojson.type).to.equal('FeatureCollection');
+        expect(geojson.features).to.have.lengthOf(1);
+        expect(geojson.features[0].geometry).to.deep.equal({ type: 'Point', coordinates: [-73.99, 40.75] });
+        expect(geojson.features[0].properties).to.include({ placeId: 'ChIJ1', totalScore: 4.5 });
+        expect(geojson.features[0].properties).to.not.have.any.keys('reviews', 'imageUrls');
+        // After migration, the saved FeatureCollection is continued
+        fs.unlinkSync(`${sink.filePath}.features`);
+        const restoredSink = createOutputSink('geojson', directory);
+        restoredSink.write([{ ...place, placeId: 'ChIJ3' }]);
+        expect(JSON.parse(restoredSink.getContent().toString()).features).to.have.lengthOf(2);
+    });
+
+    it('writes places to normalized SQLite tables', () => {
+        const sink = createOutputSink('sqlite', directory);
+        const placeWithHours = { ...place, openingHours: [{ day: 'Monday', hours: '9 AM to 5 PM' }] };
+        sink.write([placeWithHours, failedRequestItem]);
+        // With oneReviewPerRow, the rows of the same place come in one batch and all of them are kept
+        const { reviews, ...placeWithoutReviews } = placeWithHours;
+        sink.write(reviews.map((review) => ({ ...placeWithoutReviews, ...review })));
+        sink.close();
+        const Database = require('better-sqlite3'); // eslint-disable-line global-require
+        const db = new Database(sink.filePath, { readonly: true });
+        expect(db.prepare('SELECT placeId, title, lat FROM places').all()).to.deep.equal([
+            { placeId: 'ChIJ1', title: 'Joe\'s "Pizza", NYC', lat: 40.75 },
+        ]);
+        expect(db.prepare('SELECT reviewId, reviewerName FROM reviews ORDER BY reviewId').all()).to.deep.equal([
+            { reviewId: 'r1', reviewerName: 'Ann' },
+            { reviewId: 'r2', reviewerName: 'Bob' },
+        ]);
+        expect(db.prepare('SELECT COUNT(*) AS count FROM images').get()).to.deep.equal({ count: 1 });
+        expect(db.prepare('SELECT day, hours FROM opening_hours').all()).to.deep.equal([{ day: 'Monday', hours: '9 AM to 5 PM' }]);
+        db.close();
+    });
+
+    it('saves the files when the run is aborted and continues them after restart', async () => {
+        const placesOutput = new PlacesOutput({ outputSinks: ['ndjson'] });
+        const events = new EventEmitter();
+        await placesOutput.initialize(events);
+        await placesOutput.pushData({ placeId: 'ChIJ1' });
+        await Promise.all(events.listeners('aborting').map((listener) => listener()));
+        expect(`${await Apify.getValue('places.ndjson')}`).to.equal('{"placeId":"ChIJ1"}\n');
+
+        const restartedPlacesOutput = new PlacesOutput({ outputSinks: ['ndjson'] });
+        await restartedPlacesOutput.initialize(new EventEmitter());
+        await restartedPlacesOutput.pushData({ placeId: 'ChIJ2' });
+        await restartedPlacesOutput.finish();
+        expect(`${await Apify.getValue('places.ndjson')}`).to.equal('{"placeId":"ChIJ1"}\n{"placeId":"ChIJ2"}\n');
+    });
+
+    it('accepts only known sinks', () => {
+        expect(() => validateInput({ searchStringsArray: ['pizza'], outputSinks: ['csv', 'xlsx'] })).to.throw('xlsx');
+        expect(() => validateInput({ searchStringsArray: ['pizza'], outputSinks: ['csv', 'sqlite'] })).to.not.throw();
+    });
+});
+
+describe('Normalized datasets', () => {
+    it('splits the nested place data to flat rows keyed by placeId', () => {
+        const normalizedDatasets = new NormalizedDatasets({ normalizedOutput: true });
+        const { place, reviews, images, popularTimes, additionalInfo } = normalizedDatasets.splitPlace({
+            placeId: 'ChIJ1', title: 'Joe\'s Pizza', popularTimesLiveText: 'Usually not busy',
+            reviews: [{ reviewId: 'r1', stars: 5 }],
+            imageUrls: ['https://example.com/1.jpg', 'https://example.com/2.jpg'],
+            popularTimesHistogram: { Mo: [{ hour: 6, occupancyPercent: 0 }, { hour: 7, occupancyPercent: 12 }], Tu: [] },
+            additionalInfo: { Accessibility: [{ 'Wheelchair accessible entrance': true }, { 'Wheelchair accessible seating': false }] },
+        });
+        expect(place).to.deep.equal({ placeId: 'ChIJ1', title: 'Joe\'s Pizza', popularTimesLiveText: 'Usually not busy' });
+        expect(reviews).to.deep.equal([{ placeId: 'ChIJ1', reviewId: 'r1', stars: 5 }]);
+        expect(images).to.deep.equal([
+            { placeId: 'ChIJ1', position: 0, imageUrl: 'https://example.com/1.jpg' },
+            { placeId: 'ChIJ1', position: 1, imageUrl: 'https://example.com/2.jpg' },
+        ]);
+        expect(popularTimes).to.deep.equal([
+            { placeId: 'ChIJ1', day: 'Mo', hour: 6, occupancyPercent: 0 },
+            { placeId: 'ChIJ1', day: 'Mo', hour: 7, occupancyPercent: 12 },
+        ]);
+        expect(additionalInfo).to.deep.equal([
+            { placeId: 'ChIJ1', section: 'Accessibility', option: 'Wheelchair accessible entrance', value: true },
+            { placeId: 'ChIJ1', section: 'Accessibility', option: 'Wheelchair accessible seating', value: false },
+        ]);
+    });
+
+    it('has no related rows for places without the nested data', () => {
+        const normalizedDatasets = new NormalizedDatasets({ normalizedOutput: true });
+        const { reviews, images, popularTimes, additionalInfo } = normalizedDatasets.splitPlace({ placeId: 'ChIJ1', reviews: [], imageUrls: undefined });
+        expect([...reviews, ...images, ...popularTimes, ...additionalInfo]).to.deep.equal([]);
+    });
+
+    it('pushes the related rows of a retried place only once', async () => {
+        const normalizedDatasets = new NormalizedDatasets({ normalizedOutput: true, normalizedOutputPrefix: 'retry-test' });
+        await normalizedDatasets.initialize(new EventEmitter());
+        const place = { placeId: 'ChIJ1', title: 'Joe\'s Pizza', reviews: [{ reviewId: 'r1', stars: 5 }] };
+        expect(await normalizedDatasets.pushRelatedRecords(place)).to.deep.equal({ placeId: 'ChIJ1', title: 'Joe\'s Pizza' });
+        expect(await normalizedDatasets.pushRelatedRecords(place)).to.deep.equal({ placeId: 'ChIJ1', title: 'Joe\'s Pizza' });
+        const { items } = await (await Apify.openDataset('retry-test-reviews')).getData();
+        expect(items).to.deep.equal([{ placeId: 'ChIJ1', reviewId: 'r1', stars: 5 }]);
+    });
+
+    it('needs a valid dataset name prefix', () => {
+        expect(() => validateInput({ searchStringsArray: ['pizza'], normalizedOutput: true, normalizedOutputPrefix: 'my_run' })).to.throw('normalizedOutputPrefix');
+        expect(() => validateInput({ searchStringsArray: ['pizza'], normalizedOutput: true, normalizedOutputPrefix: 'my-run-2' })).to.not.throw();
+    });
+});
+
+describe('Webhook', () => {
+    /** @type {http.Server} */
+    let server;
+    /** @type {{ headers: http.IncomingHttpHeaders, body: string }[]} */
+    let receivedRequests;
+    /** @type {number[]} */
+    let statusCodes;
+    /** @type {string} */
+    let webhookUrl;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', (chunk) => { body += chunk; });
+            req.on('end', () => {
+                receivedRequests.push({ headers: req.headers, body });
+                res.statusCode = statusCodes.shift() || 200;
+                res.end();
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+        webhookUrl = `http://127.0.0.1:${/** @type {any} */ (server.address()).port}/places`;
+    });
+
+    beforeEach(() => {
+        receivedRequests = [];
+        statusCodes = [];
+    });
+
+    after(() => {
+        server.close();
+    });
+
+    it('retries server errors and signs the body', async () => {
+        const placeWebhook = new PlaceWebhook({
+            webhookUrl, webhookSecret: 'secret', webhookHeaders: { Authorization: 'Bearer token' }, retryDelayMillis: 10,
+        });
+        statusCodes = [503, 500];
+        const error = await placeWebhook.deliver('{"placeId":"ChIJ1"}');
+        expect(error).to.equal(null);
+        expect(receivedRequests).to.have.lengthOf(3);
+        const { headers, body } = receivedRequests[2];
+        expect(body).to.equal('{"placeId":"ChIJ1"}');
+        expect(headers).to.include({ authorization: 'Bearer token', 'content-type': 'application/json' });
+        expect(headers['x-signature-256']).to.equal(`sha256=${crypto.createHmac('sha256', 'secret').update(body).digest('hex')}`);
+    });
+
+    it('gives up after the retries and does not retry client errors', async () => {
+        const placeWebhook = new PlaceWebhook({ webhookUrl, webhookMaxRetries: 2, retryDelayMillis: 10 });
+        statusCodes = [500, 500, 500];
+        expect(await placeWebhook.deliver('{}')).to.equal('Status code 500');
+        expect(receivedRequests).to.have.lengthOf(3);
+
+        receivedRequests = [];
+        statusCodes = [400];
+        expect(await placeWebhook.deliver('{}')).to.equal('Status code 400');
+        expect(receivedRequests).to.have.lengthOf(1);
+    });
+
+    it('sends the places in batches', async () => {
+        const placeWebhook = new PlaceWebhook({ webhookUrl, webhookBatchSize: 2 });
+        await placeWebhook.addPlace({ placeId: 'ChIJ1' });
+        expect(receivedRequests).to.have.lengthOf(0);
+        await placeWebhook.addPlace({ placeId: 'ChIJ2' });
+        expect(receivedRequests.map(({ body }) => JSON.parse(body))).to.deep.equal([[{ placeId: 'ChIJ1' }, { placeId: 'ChIJ2' }]]);
+        expect(placeWebhook.deliveredCount).to.equal(2);
+    });
+
+    it('keeps the batch in the state until it is delivered', async () => {
+        const placeWebhook = new PlaceWebhook({ webhookUrl, retryDelayMillis: 10 });
+        statusCodes = [503];
+        const delivery = placeWebhook.addPlace({ placeId: 'ChIJ1' });
+        // Migration while the place is being sent
+        await placeWebhook.persistState();
+        expect(await Apify.getValue('WEBHOOK-STATE')).to.deep.equal({ pendingPlaces: [{ placeId: 'ChIJ1' }] });
+        await delivery;
+        expect(receivedRequests).to.have.lengthOf(2);
+        await placeWebhook.persistState();
+        expect(await Apify.getValue('WEBHOOK-STATE')).to.deep.equal({ pendingPlaces: [] });
+    });
+
+    it('needs a http URL', () => {
+        expect(() => validateInput({ searchStringsArray: ['pizza'], webhookUrl: 'example.com/hook' })).to.throw('webhookUrl');
+        expect(() => validateInput({ searchStringsArray: ['pizza'], webhookUrl: 'https://example.com/hook' })).to.not.throw();
+    });
+});
+
+describe('Output fields', () => {
+    const place = {
+        placeId: 'ChIJ1', title: 'Joe\'s Pizza', totalScore: 4.5, orderBy: [],
+        reviews: [{ name: 'Ann', text: 'Great', stars: 5 }, { name: 'Bob', text: 'Good', stars: 4 }],
+        additionalInfo: { Accessibility: [{ 'Wheelchair accessible entrance': true }], Payments: [{ 'Credit cards': true }] },
+    };
+
+    it('keeps the included paths and removes the excluded ones', () => {
+        expect(projectFields(place, {
+            include: ['title', 'reviews.text', 'reviews.stars', 'additionalInfo.Accessibility', 'missing.field'],
+            exclude: ['reviews.stars'],
+        })).to.deep.equal({
+            title: 'Joe\'s Pizza',
+            reviews: [{ text: 'Great' }, { text: 'Good' }],
+            additionalInfo: { Accessibility: [{ 'Wheelchair accessible entrance': true }] },
+        });
+        // Whole field wins over its subfields
+        expect(projectFields(place, { include: ['reviews.text', 'reviews'] }).reviews).to.deep.equal(place.reviews);
+        expect(projectFields(place, { exclude: ['reviews', 'additionalInfo.Payments', 'orderBy'] })).to.deep.equal({
+            placeId: 'ChIJ1', title: 'Joe\'s Pizza', totalScore: 4.5,
+            additionalInfo: { Accessibility: [{ 'Wheelchair accessible entrance': true }] },
+        });
+        expect(projectFields(place, undefined)).to.equal(place);
+    });
+
+    it('skips extractors whose fields are all left out', () => {
+        expect(isAnyFieldWanted(undefined, ['reviews'])).to.equal(true);
+        expect(isAnyFieldWanted({ exclude: ['reviews'] }, ['reviews'])).to.equal(false);
+        // Only part of the reviews is excluded, we still need to scrape them
+        expect(isAnyFieldWanted({ exclude: ['reviews.text'] }, ['reviews'])).to.equal(true);
+        expect(isAnyFieldWanted({ include: ['title', 'reviews.text'] }, ['reviews'])).to.equal(true);
+        expect(isAnyFieldWanted({ include: ['title'] }, ['imageUrls'])).to.equal(false);
+        expect(isAnyFieldWanted({ include: ['isOpenNow'] }, ['structuredOpeningHours', 'isOpenNow'])).to.equal(true);
+    });
+
+    it('needs lists of paths', () => {
+        expect(() => validateInput({ searchStringsArray: ['pizza'], fields: { include: 'title' } })).to.throw('fields.include');
+        expect(() => validateInput({ searchStringsArray: ['pizza'], fields: { include: ['title'], exclude: ['reviews.text'] } })).to.not.throw();
+    });
+});
+
+describe('Place filters', () => {
+    const placeFilters = { minTotalScore: 4, minReviewsCount: 20, categories: ['restaurant'], skipPermanentlyClosed: true };
+    const place = {
+        placeId: 'ChIJ1', totalScore: 4.5, reviewsCount: 120, categories: ['Pizza restaurant'], categoryName: 'Pizza restaurant',
+        permanentlyClosed: false, temporarilyClosed: false,
+    };
+
+    it('rejects places that don\'t pass the filters', () => {
+        expect(getPlaceFilteredOutReason(place, placeFilters)).to.equal(null);
+        expect(getPlaceFilteredOutReason(place, undefined)).to.equal(null);
+        expect(getPlaceFilteredOutReason({ ...place, totalScore: 3.9 }, placeFilters)).to.equal('totalScore');
+        expect(getPlaceFilteredOutReason({ ...place, totalScore: null }, placeFilters)).to.equal('totalScore');
+        expect(getPlaceFilteredOutReason({ ...place, reviewsCount: 19 }, placeFilters)).to.equal('reviewsCount');
+        expect(getPlaceFilteredOutReason({ ...place, categories: ['Bakery'], categoryName: 'Bakery' }, placeFilters)).to.equal('categories');
+        expect(getPlaceFilteredOutReason({ ...place, permanentlyClosed: true }, placeFilters)).to.equal('permanentlyClosed');
+        expect(getPlaceFilteredOutReason({ ...place, isOpenNow: false }, { onlyOpenNow: true })).to.equal('closedNow');
+        expect(getPlaceFilteredOutReason({ ...place, temporarilyClosed: true }, { skipTemporarilyClosed: true })).to.equal('temporarilyClosed');
+    });
+
+    it('checks only the known values in the search results', () => {
+        /** @type {any} */
+        const placePaginationData = { ...place, totalScore: null, reviewsCount: null, categories: [], categoryName: undefined };
+        expect(getListingFilteredOutReason(placePaginationData, placeFilters)).to.equal(null);
+        expect(getListingFilteredOutReason({ ...placePaginationData, reviewsCount: 3 }, placeFilters)).to.equal('reviewsCount');
+        expect(getListingFilteredOutReason({ ...placePaginationData, categories: ['Bakery'] }, placeFilters)).to.equal('categories');
+    });
+
+    it('counts the filtered places in stats', () => {
+        const stats = new Stats();
+        stats.filteredOut('totalScore', true);
+        stats.filteredOut('totalScore');
+        stats.filteredOut('closedNow');
+        expect(stats.stats).to.include({ filteredOut: 3, filteredOutInSearch: 1 });
+        expect(stats.stats.filteredOutReasons).to.deep.equal({ totalScore: 2, closedNow: 1 });
+    });
+
+    it('frees the enqueued slot of the filtered places', async () => {
+        const maxCrawledPlacesTracker = new MaxCrawledPlacesTracker(10, 1);
+        expect(maxCrawledPlacesTracker.setEnqueued('pizza')).to.equal(true);
+        expect(maxCrawledPlacesTracker.canEnqueueMore('pizza')).to.equal(false);
+        await maxCrawledPlacesTracker.setFilteredOut('pizza');
+        expect(maxCrawledPlacesTracker.canEnqueueMore('pizza')).to.equal(true);
+        expect(await Apify.getValue('MAX_CRAWLED_PLACES_STATE')).to.deep.include({ enqueuedTotal: 0, enqueuedPerSearch: { pizza: 0 } });
+    });
+
+    it('needs valid filters', () => {
+        expect(() => validateInput({ searchStringsArray: ['pizza'], placeFilters: { minTotalScore: 6 } })).to.throw('minTotalScore');
+        expect(() => validateInput({ searchStringsArray: ['pizza'], placeFilters: { categories: 'restaurant' } })).to.throw('categories');
+        expect(() => validateInput({ searchStringsArray: ['pizza'], placeFilters })).to.not.throw();
+    });
+});